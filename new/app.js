@@ -1,19 +1,80 @@
 // Identity Verification System - Main Application
+import {
+    parseMRZ, cleanMRZText, describeCountryCheck, matchMRZName
+} from './lib/mrz.mjs';
+import { evaluatePolicy, normalizePolicy, applyCardConsistency, DEFAULT_POLICY } from './lib/policy.mjs';
+import { buildMRZConsensus } from './lib/mrz-consensus.mjs';
+import { normalizeAssetManifest, assetUrl, findAssetFile, hasAssetFile, verifyAssetFile } from './lib/assets.mjs';
+import { fetchOCRScripts, fetchTraineddata, startOCRWorker } from './lib/tesseract-assets.mjs';
+import {
+    measureFrameQuality, evaluateFrameQuality, regionFromPoints, DEFAULT_QUALITY_THRESHOLDS, QUALITY_REGIONS
+} from './lib/capture-quality.mjs';
+import { detectImageType, readJPEGOrientation, orientationTransform } from './lib/image-file.mjs';
+import { interpretBarcode, crossCheckDocumentData } from './lib/barcode.mjs';
+import { createOCRProvider, normalizeOCRConfig, DEFAULT_OCR_CONFIG } from './lib/ocr-providers.mjs';
+import { FRONT_TEMPLATES, selectFrontTemplate, readFrontFields, compareFrontWithMRZ } from './lib/front-fields.mjs';
+import { quadAspect, measureColorProfile, compareCardSides } from './lib/card-consistency.mjs';
+import { classifyDocument, measureMRZLines } from './lib/document-class.mjs';
+
+// Text from a document (barcode contents, OCR) made safe to put in HTML
+function escapeHTML(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => (
+        { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+}
+
 class IdentityVerificationSystem {
-    constructor() {
+    constructor(assets) {
+        // Self-hosted library and model files (assets.json)
+        this.assets = assets;
         this.currentPhase = 1;
         this.extractedData = {};
         this.capturedImages = {
             idBack: null,
             idFront: null,
             portrait: null,
-            selfie: null
+            selfie: null,
+            // Cards warped flat, kept as evidence
+            idBackCard: null,
+            idFrontCard: null
         };
+        this.cardEvidence = {};
+        // Where each ID image came from: 'camera' or 'upload'. The selfie is always live.
+        this.captureSources = { back: null, front: null };
+        // Longest edge uploaded images are scaled down to before processing
+        this.maxUploadDimension = 2400;
         this.capturedPoses = [];
         this.documentType = null;
+        // What the back capture looked like before OCR (see classifyCapture)
+        this.documentClass = null;
         this.streams = {};
         this.isInitialized = false;
         this._selfieInProgress = false;
+        this.policy = DEFAULT_POLICY;
+        // Multi-frame MRZ scan: frames grabbed from the live video and the gap between them
+        this.mrzFrameCount = 5;
+        this.mrzFrameInterval = 250;
+        // Hands-free MRZ scanning: minimum gap between OCR attempts on the live video
+        this.autoCaptureInterval = 1200;
+        this.autoCapture = null;
+        // OCR engine: long-lived Tesseract workers loaded once in init(). The MRZ
+        // model is `${lang}.traineddata` in the traineddata asset folder
+        // (uncompressed); without it the workers fall back to the English model.
+        this.ocrModel = { lang: 'ocrb', fallbackLang: 'eng' };
+        this.ocrWorkerCount = Math.max(1, Math.min(3, (navigator.hardwareConcurrency || 2) - 1));
+        this.ocrPool = null;
+        // Which OCR provider reads documents (ocr.json): the Tesseract workers
+        // above or a remote OCR service
+        this.ocrConfig = DEFAULT_OCR_CONFIG;
+        this.ocrProvider = null;
+        // Live capture quality gate: thresholds, how often the video is checked,
+        // and how long before capture is allowed anyway so nobody is locked out
+        this.qualityThresholds = DEFAULT_QUALITY_THRESHOLDS;
+        this.qualityCheckInterval = 250;
+        this.qualityGateTimeout = 20000;
+        // Checks a located region is reused for before it is looked for again,
+        // since locating the MRZ costs far more than measuring the frame
+        this.qualityLocateEvery = 8;
+        this.qualityGates = {};
     }
 
     async init() {
@@ -27,10 +88,22 @@ class IdentityVerificationSystem {
                 this.markInitStep('initCheckOpencv');
             }
 
-            // Mark Tesseract as done if loaded
-            if (window.Tesseract) {
+            // OCR provider from ocr.json; a remote service needs no local workers
+            this.ocrConfig = await this.loadOCRConfig('ocr.json');
+            this.ocrProvider = createOCRProvider(this.ocrConfig, {
+                recognizeData: (image, params, logger) => this.recognizeOCR(image, params, logger)
+            });
+            console.log(`OCR provider: ${this.ocrProvider.name}`);
+
+            // Start the OCR workers in the background; OCR passes wait for them
+            if (this.ocrProvider.name === 'http') {
                 this.markInitStep('initCheckTesseract');
-                this.updateInitStatus('Tesseract ready...', 30);
+            } else if (window.Tesseract) {
+                this.updateInitStatus('Starting OCR engine...', 30);
+                this.ocrPool = this.startOCRPool();
+                this.ocrPool.then(pool => {
+                    if (pool) this.markInitStep('initCheckTesseract');
+                });
             }
 
             // Load face detection models (gated on faceapi availability)
@@ -42,6 +115,9 @@ class IdentityVerificationSystem {
                 console.warn('face-api.js not loaded yet, face models will load on demand');
             }
 
+            // Document acceptance policy
+            this.policy = await this.loadPolicy('policy.json');
+
             // Setup event listeners
             this.setupEventListeners();
 
@@ -57,6 +133,7 @@ class IdentityVerificationSystem {
             // Dismiss the overlay
             this.updateInitStatus('Ready!', 100);
             this.dismissInitOverlay();
+            this.showAssetProblems();
 
             // Setup cleanup handlers
             this.setupCleanupHandlers();
@@ -175,13 +252,21 @@ class IdentityVerificationSystem {
             this.stopCamera(videoId);
         });
 
+        // Shut down the OCR workers
+        this.stopOCRPool();
+
         // Clear captured image data
         if (this.capturedImages) {
             this.capturedImages.idBack = null;
             this.capturedImages.idFront = null;
             this.capturedImages.portrait = null;
             this.capturedImages.selfie = null;
+            this.capturedImages.idBackCard = null;
+            this.capturedImages.idFrontCard = null;
         }
+        this.cardEvidence = {};
+        this.documentClass = null;
+        this.captureSources = { back: null, front: null };
 
         // Clear biometric data
         this.clearBiometricData();
@@ -240,12 +325,14 @@ class IdentityVerificationSystem {
                 'Allow camera access in your browser settings',
                 'Refresh the page and try again'
             ];
+            if (this.currentPhase <= 2) recoveryActions.push('Or upload a photo or scan of your ID instead');
         } else if (error.name === 'NotFoundError' || error.message.includes('camera')) {
             userMessage = 'No camera found';
             recoveryActions = [
                 'Connect a camera to your device',
                 'Check if another application is using the camera'
             ];
+            if (this.currentPhase <= 2) recoveryActions.push('Or upload a photo or scan of your ID instead');
         } else if (error.message.includes('OpenCV') || error.message.includes('cv')) {
             userMessage = 'Image processing error';
             recoveryActions = [
@@ -348,7 +435,9 @@ class IdentityVerificationSystem {
     async loadFaceModels() {
         try {
             console.log('Loading face detection models...');
-            const MODEL_URL = 'https://cdn.jsdelivr.net/npm/@vladmandic/face-api@1.7.12/model';
+            const MODEL_URL = assetUrl(this.assets, 'faceModels');
+            // face-api fetches the weights itself; route it through the pinned hashes
+            faceapi.env.monkeyPatch({ fetch: (url) => fetchPinnedAsset(this.assets, String(url)) });
 
             this.updateInitStatus('Downloading face detector...', 45);
             await faceapi.nets.ssdMobilenetv1.loadFromUri(MODEL_URL);
@@ -365,15 +454,61 @@ class IdentityVerificationSystem {
             console.log('Face models loaded successfully');
         } catch (error) {
             console.error('Error loading face models:', error);
+            reportAssetProblem('faceModels', error);
+        }
+    }
+
+    // Show files that were missing or failed their integrity check, once
+    // the overlay that listed them is gone
+    showAssetProblems() {
+        if (assetProblems.length === 0) return;
+        const list = assetProblems.map(message => `<li>${escapeHTML(message)}</li>`).join('');
+        this.showGlobalError(`Some required files could not be loaded. Ask your administrator to check the asset folder.<ul>${list}</ul>`);
+    }
+
+    // Load the acceptance policy JSON, falling back to the built-in defaults
+    async loadPolicy(url) {
+        try {
+            const response = await fetch(url, { cache: 'no-cache' });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const policy = normalizePolicy(await response.json());
+            console.log('Acceptance policy loaded:', policy);
+            return policy;
+        } catch (error) {
+            console.warn(`Could not load policy from ${url}, using defaults:`, error);
+            return DEFAULT_POLICY;
+        }
+    }
+
+    // Load the OCR provider config, falling back to in-browser Tesseract
+    async loadOCRConfig(url) {
+        try {
+            const response = await fetch(url, { cache: 'no-cache' });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return normalizeOCRConfig(await response.json());
+        } catch (error) {
+            console.warn(`Could not load OCR config from ${url}, using Tesseract:`, error);
+            return DEFAULT_OCR_CONFIG;
         }
     }
 
     setupEventListeners() {
         // Phase A: Back-of-ID
-        document.getElementById('captureBack').addEventListener('click', () => this.captureIDBack());
+        document.getElementById('captureBack').addEventListener('click', () => {
+            this.stopMRZAutoCapture();
+            this.captureIDBack();
+        });
+        document.getElementById('autoCaptureScan').addEventListener('change', (e) => {
+            if (e.target.checked) this.startMRZAutoCapture();
+            else this.stopMRZAutoCapture();
+        });
 
         // Phase B: Front-of-ID
         document.getElementById('captureFront').addEventListener('click', () => this.captureIDFront());
+
+        // Phases A and B: image upload instead of the camera
+        this.setupDocumentUpload('back');
+        this.setupDocumentUpload('front');
         document.getElementById('backToMRZ').addEventListener('click', () => this.goToPhase(1));
 
         // Phase C: Selfie
@@ -382,6 +517,7 @@ class IdentityVerificationSystem {
 
         // Phase D: Verification
         document.getElementById('submitBtn').addEventListener('click', () => this.submitRegistration());
+        document.getElementById('fullName').addEventListener('input', () => this.updateNameMatch());
         document.getElementById('backToSelfie').addEventListener('click', () => this.goToPhase(3));
 
         // Event delegation for dynamically created buttons
@@ -445,6 +581,7 @@ class IdentityVerificationSystem {
                 if (container) {
                     container.classList.add('camera-ready');
                 }
+                this.startQualityGate(videoId);
             }, { once: true });
 
             console.log(`Camera started for ${videoId}`);
@@ -460,6 +597,7 @@ class IdentityVerificationSystem {
     }
 
     stopCamera(videoId) {
+        this.stopQualityGate(videoId);
         if (this.streams[videoId]) {
             this.streams[videoId].getTracks().forEach(track => track.stop());
             delete this.streams[videoId];
@@ -476,6 +614,10 @@ class IdentityVerificationSystem {
             console.warn('Phase 2 requires completed MRZ scan');
             return;
         }
+        if (phaseNumber >= 2 && this.extractedData.policy?.decision === 'reject') {
+            console.warn('Document was rejected by the acceptance policy');
+            return;
+        }
         if (phaseNumber >= 3 && (!this.capturedImages.portrait || !this.extractedData.portraitDescriptor)) {
             console.warn('Phase 3 requires portrait extraction');
             return;
@@ -486,6 +628,7 @@ class IdentityVerificationSystem {
         }
 
         // Stop current camera
+        this.stopMRZAutoCapture();
         const currentVideoId = this.getVideoIdForPhase(this.currentPhase);
         this.stopCamera(currentVideoId);
 
@@ -546,6 +689,11 @@ class IdentityVerificationSystem {
             }
 
             await this.startCamera(newVideoId);
+
+            // Resume hands-free scanning when returning to the MRZ step
+            if (phaseNumber === 1 && document.getElementById('autoCaptureScan')?.checked) {
+                this.startMRZAutoCapture();
+            }
         }
     }
 
@@ -587,6 +735,8 @@ class IdentityVerificationSystem {
     // ==================== Phase A: Back-of-ID (MRZ) ====================
 
     async captureIDBack() {
+        if (!this.isCaptureAllowed('video')) return;
+
         const video = document.getElementById('video');
         const canvas = document.getElementById('canvas');
         const ctx = canvas.getContext('2d');
@@ -598,20 +748,33 @@ class IdentityVerificationSystem {
             return;
         }
 
+        // Multi-frame mode grabs a burst from the live stream before freezing
+        const multiFrame = document.getElementById('multiFrameScan')?.checked;
+        const frames = multiFrame ? await this.grabVideoFrames(video, this.mrzFrameCount, this.mrzFrameInterval) : [];
+
         canvas.width = video.videoWidth;
         canvas.height = video.videoHeight;
-        ctx.drawImage(video, 0, 0);
+        ctx.drawImage(frames[0] || video, 0, 0);
 
         const container = video.closest('.camera-container');
 
         // Trigger flash
         this.triggerFlash(container);
 
-        // Immediately freeze: stop video, show captured frame with scan animation
-        this.showCapturePreview(container, canvas);
+        this.captureSources.back = 'camera';
+        await this.processIDBackImage(canvas, container, frames);
+    }
 
+    // Shared by camera captures and uploads: freeze the image, then read the MRZ
+    async processIDBackImage(canvas, container, frames = []) {
         this.capturedImages.idBack = canvas.toDataURL('image/jpeg', 0.85);
 
+        // Warp the card flat when its outline can be found
+        const cardCanvas = this.prepareCardImage(canvas, 'idBackCard');
+
+        // Immediately freeze: stop video, show captured frame with scan animation
+        this.showCapturePreview(container, cardCanvas);
+
         // Show processing status below the frozen image
         const mrzResult = document.getElementById('mrzResult');
         mrzResult.innerHTML = `
@@ -624,8 +787,58 @@ class IdentityVerificationSystem {
         `;
         mrzResult.classList.remove('hidden');
 
+        // Tell the document type from the image, so guidance, MRZ crop and
+        // parser suit it before any OCR runs
+        const { documentClass, located } = this.classifyCapture(cardCanvas);
+        this.documentClass = documentClass;
+        let detected = '';
+        if (documentClass.type && documentClass.type !== 'unsupported' && documentClass.confidence !== 'low') {
+            detected = `${documentClass.label.charAt(0).toUpperCase()}${documentClass.label.slice(1)} detected`;
+            this.updateCaptureBadge(container, detected);
+        }
+
+        // A PDF417 or QR code on the back may carry the same data, or the only data
+        this.updateOCRProgress(5, detected ? `${detected}, looking for a barcode...` : 'Looking for a barcode...');
+        const barcode = await this.readDocumentBarcode(cardCanvas);
+        this.extractedData.barcode = barcode;
+        if (barcode?.result) {
+            await this.processBarcodeDocument(barcode, cardCanvas, container);
+            return;
+        }
+
+        // Neither an ICAO outline nor MRZ lines: no point running OCR
+        if (documentClass.type === 'unsupported' && documentClass.mrzLines === 0) {
+            this.showMRZRetry(container, new Error('This does not look like an ID card or a passport data page. Scan the side of your ID card with the machine-readable lines, or the photo page of your passport.'));
+            return;
+        }
+
         // Process MRZ
-        await this.processMRZ(canvas);
+        if (frames.length > 1) {
+            await this.processMRZFrames(frames);
+        } else {
+            await this.processMRZ(cardCanvas, located);
+        }
+    }
+
+    // Copy several frames off the live video, a short interval apart
+    async grabVideoFrames(video, count, interval) {
+        const frames = [];
+        const container = video.closest('.camera-container');
+        const overlayText = container?.querySelector('.overlay-text');
+        const originalText = overlayText?.textContent;
+
+        for (let i = 0; i < count; i++) {
+            if (overlayText) overlayText.textContent = `Hold still... (${i + 1}/${count})`;
+            const frame = document.createElement('canvas');
+            frame.width = video.videoWidth;
+            frame.height = video.videoHeight;
+            frame.getContext('2d').drawImage(video, 0, 0);
+            frames.push(frame);
+            if (i < count - 1) await new Promise(resolve => setTimeout(resolve, interval));
+        }
+
+        if (overlayText) overlayText.textContent = originalText;
+        return frames;
     }
 
     // Show frozen captured frame with scanning animation
@@ -671,168 +884,761 @@ class IdentityVerificationSystem {
         if (overlay) overlay.style.display = '';
     }
 
+    // ==================== Document Classification ====================
+
+    // Classify the back capture from the card outline's proportions and the
+    // lines in the located MRZ band. Returns the classification and the band
+    // (null when none was found), which the MRZ pipeline reuses.
+    classifyCapture(cardCanvas) {
+        const card = this.cardEvidence.idBackCard;
+        const located = this.locateMRZ(cardCanvas);
+        const band = located?.canvas;
+        const mrz = band ? measureMRZLines(band.getContext('2d').getImageData(0, 0, band.width, band.height)) : null;
+        const documentClass = classifyDocument({ cardAspect: card?.rectified ? card.aspect : null, mrz });
+        console.log('Document class:', documentClass.type, documentClass.confidence, documentClass.reasons.join('; '));
+        return { documentClass, located };
+    }
+
+    // MRZ formats parseMRZ should try first for the classified document;
+    // none when the outline and the MRZ lines disagreed
+    expectedMRZFormats() {
+        const documentClass = this.documentClass;
+        return documentClass && documentClass.confidence !== 'low' ? documentClass.mrzFormats : [];
+    }
+
+    // What to fix when no MRZ could be read, for the classified document
+    mrzFailureMessage() {
+        const documentClass = this.documentClass;
+        if (!documentClass?.type || documentClass.type === 'unsupported') {
+            return 'Could not read MRZ. Please ensure good lighting and the MRZ lines are clearly visible.';
+        }
+        if (documentClass.mrzLines === 0) {
+            return `No MRZ lines were found on this ${documentClass.label}. Scan the side with the lines of capital letters, digits and chevrons: the back of most ID cards, or the bottom of the passport photo page.`;
+        }
+        if (documentClass.type === 'passport') {
+            return 'Could not read the MRZ of this passport data page. Keep the two lines at the bottom of the page fully in view, without glare or fingers over them.';
+        }
+        const count = documentClass.mrzFormats.includes('TD1') ? 'three' : 'two';
+        return `Could not read the MRZ of this ${documentClass.label}. Keep all ${count} MRZ lines on the card fully in view, without glare or fingers over them.`;
+    }
+
     // ==================== MRZ Processing Pipeline ====================
 
-    async processMRZ(canvas) {
+    // Read the MRZ of a captured card. `located` is the MRZ band already
+    // found in it (null for none); it is looked up when left out.
+    async processMRZ(canvas, located) {
         const container = document.getElementById('video')?.closest('.camera-container');
         try {
-            // Strategy 1: Full image, direct OCR (works if card fills frame)
-            this.updateCaptureBadge(container, 'Reading MRZ...');
-            const fullText = await this.extractMRZText(canvas);
-            const cleanFull = fullText ? this.cleanMRZText(fullText) : '';
-            // Use flat length (without newlines) for threshold comparisons
-            const flatFull = cleanFull.replace(/\n/g, '');
-
-            if (flatFull.length >= 60) {
-                console.log('Full-image OCR succeeded, length:', cleanFull.length);
+            const attempts = [];
+            const read = async (source, label) => {
+                const ocr = await this.extractMRZText(source);
+                const attempt = {
+                    label,
+                    text: ocr?.text,
+                    lines: ocr?.lines,
+                    flat: ocr?.text ? cleanMRZText(ocr.text).replace(/\n/g, '') : '',
+                    parses: Boolean(ocr?.text && parseMRZ(ocr.text, { expectedFormats: this.expectedMRZFormats() }))
+                };
+                attempts.push(attempt);
+                return attempt;
+            };
+            const finish = (attempt) => {
+                console.log(`${attempt.label} OCR succeeded, length:`, attempt.flat.length);
                 this.updateCaptureBadge(container, 'Done!');
-                return this.parseAndDisplayMRZ(fullText);
-            }
+                return this.parseAndDisplayMRZ(attempt.text, attempt.lines);
+            };
 
-            // Strategy 2: Crop bottom 40% (MRZ zone) and retry
-            console.log('Full image insufficient, trying MRZ region crop...');
-            this.updateCaptureBadge(container, 'Focusing on MRZ zone...');
-            const mrzCanvas = this.extractMRZRegion(canvas, 0.65);
-            const croppedText = await this.extractMRZText(mrzCanvas);
-            const cleanCropped = croppedText ? this.cleanMRZText(croppedText) : '';
-            const flatCropped = cleanCropped.replace(/\n/g, '');
+            // Strategy 1: Find the MRZ band by image analysis and OCR just that.
+            // The band's angle cannot tell a card held upside down, so a
+            // reading that does not parse is retried turned half a turn.
+            if (located === undefined) {
+                this.updateCaptureBadge(container, 'Locating MRZ...');
+                located = this.locateMRZ(canvas);
+            }
+            if (located) {
+                this.drawMRZBox(container, located.box, canvas);
+                this.updateCaptureBadge(container, 'Reading MRZ...');
+                const band = await read(located.canvas, 'Located band');
+                if (band.parses) return finish(band);
+
+                const flipped = await read(this.rotateCanvas180(located.canvas), 'Located band (flipped)');
+                if (flipped.parses) return finish(flipped);
+            }
 
-            if (flatCropped.length >= 60) {
-                console.log('Cropped OCR succeeded, length:', cleanCropped.length);
-                this.updateCaptureBadge(container, 'Done!');
-                return this.parseAndDisplayMRZ(croppedText);
+            // Strategy 2: Full image, direct OCR (works if card fills frame)
+            this.updateCaptureBadge(container, 'Reading MRZ...');
+            const full = await read(canvas, 'Full-image');
+            if (full.flat.length >= 60 && full.parses) return finish(full);
+
+            // Strategy 3: Without a located band, fall back to the bottom of the frame
+            let mrzCanvas = located?.canvas;
+            if (!located) {
+                console.log('MRZ band not located, trying fixed region crop...');
+                this.updateCaptureBadge(container, 'Focusing on MRZ zone...');
+                mrzCanvas = this.extractMRZRegion(canvas, this.documentClass?.mrzCropStart ?? 0.65);
+                const cropped = await read(mrzCanvas, 'Cropped');
+                if (cropped.flat.length >= 60 && cropped.parses) return finish(cropped);
             }
 
-            // Strategy 3: Preprocess + crop (heavy lifting as last resort)
-            console.log('Cropped OCR insufficient, trying with preprocessing...');
+            // Strategy 4: Preprocess the MRZ crop (heavy lifting as last resort)
+            console.log('MRZ OCR insufficient, trying with preprocessing...');
             this.updateCaptureBadge(container, 'Enhancing image...');
             const processedCanvas = await this.preprocessForMRZ(mrzCanvas);
-            const processedText = await this.extractMRZText(processedCanvas);
-            const cleanProcessed = processedText ? this.cleanMRZText(processedText) : '';
-            const flatProcessed = cleanProcessed.replace(/\n/g, '');
+            const processed = await read(processedCanvas, 'Preprocessed');
+            if (processed.flat.length >= 60 && processed.parses) return finish(processed);
 
-            if (flatProcessed.length >= 60) {
-                this.updateCaptureBadge(container, 'Done!');
-                return this.parseAndDisplayMRZ(processedText);
+            // Use whichever parsed, or failing that got the most text
+            const best = [...attempts].sort((a, b) =>
+                (b.parses - a.parses) || (b.flat.length - a.flat.length))[0];
+
+            if (best && best.flat.length >= 30) {
+                return finish(best);
             }
 
-            // Use whichever got the most text
-            const best = [
-                { text: fullText, clean: cleanFull, flat: flatFull },
-                { text: croppedText, clean: cleanCropped, flat: flatCropped },
-                { text: processedText, clean: cleanProcessed, flat: flatProcessed }
-            ].sort((a, b) => b.flat.length - a.flat.length)[0];
+            throw new Error(this.mrzFailureMessage());
+        } catch (error) {
+            console.error('MRZ processing error:', error);
+            this.showMRZRetry(container, error);
+        }
+    }
+
+    // OCR each frame of a burst and settle every MRZ character by a
+    // confidence- and checksum-weighted vote across frames
+    async processMRZFrames(frames) {
+        const container = document.getElementById('video')?.closest('.camera-container');
+        try {
+            // Frames are read side by side on the OCR worker pool
+            let done = 0;
+            this.updateCaptureBadge(container, `Reading ${frames.length} frames...`);
+            const readings = await Promise.all(frames.map(async (source) => {
+                const frame = this.prepareCardImage(source);
+                let ocr = await this.extractMRZText(frame);
+                if (!ocr || cleanMRZText(ocr.text).replace(/\n/g, '').length < 60) {
+                    ocr = await this.extractMRZText(this.getMRZCrop(frame)) || ocr;
+                }
+                done++;
+                this.updateCaptureBadge(container, `Read ${done} of ${frames.length} frames...`);
+                return { text: ocr?.text, ocrLines: ocr?.lines };
+            }));
+
+            const consensus = buildMRZConsensus(readings);
+            if (!consensus) {
+                throw new Error(`None of the frames could be read. ${this.mrzFailureMessage()}`);
+            }
+            console.log(`MRZ consensus from ${consensus.framesUsed}/${consensus.framesRead} frames, agreement ${consensus.agreement}`);
 
-            if (best.flat.length >= 30) {
+            this.updateCaptureBadge(container, 'Done!');
+            await this.parseAndDisplayMRZ(consensus.text, consensus.ocrLines, consensus);
+        } catch (error) {
+            console.error('Multi-frame MRZ processing error:', error);
+            this.showMRZRetry(container, error);
+        }
+    }
+
+    // Bring the live camera back with the error so the applicant can rescan
+    showMRZRetry(container, error) {
+        this.hideCapturePreview(container);
+        // Restore camera container visibility for retry
+        if (container) container.style.display = '';
+        const captureBtn = document.getElementById('captureBack')?.closest('.controls');
+        if (captureBtn) captureBtn.style.display = '';
+        this.showPhaseError('mrzResult', 'MRZ Extraction Failed', error.message + '<p class="tip">Tips: Ensure good lighting, hold ID steady, MRZ should be clearly visible</p>', 'captureIDBack');
+        if (document.getElementById('autoCaptureScan')?.checked) this.startMRZAutoCapture();
+    }
+
+    // ==================== Barcode Reading ====================
+
+    // Find and decode a PDF417 or QR code on the back-of-card image, using
+    // the browser's BarcodeDetector where it handles these formats and the
+    // self-hosted ZXing decoder otherwise. Returns interpretBarcode() output,
+    // or null when there is no readable barcode.
+    async readDocumentBarcode(canvas) {
+        try {
+            const decoded = await this.detectBarcodeNative(canvas) || await this.detectBarcodeZXing(canvas);
+            if (!decoded) return null;
+            const barcode = interpretBarcode(decoded);
+            console.log(`Barcode found: ${barcode.format} (${barcode.kind})`);
+            return barcode;
+        } catch (error) {
+            console.warn('Barcode reading failed:', error);
+            return null;
+        }
+    }
+
+    async detectBarcodeNative(canvas) {
+        if (!('BarcodeDetector' in window)) return null;
+        const supported = await BarcodeDetector.getSupportedFormats();
+        const formats = ['pdf417', 'qr_code'].filter(f => supported.includes(f));
+        if (formats.length === 0) return null;
+
+        const [found] = await new BarcodeDetector({ formats }).detect(canvas);
+        return found ? { format: found.format, text: found.rawValue } : null;
+    }
+
+    async detectBarcodeZXing(canvas) {
+        const decoder = this.assets.assets.barcodeDecoder;
+        if (!decoder) return null;
+        if (!window.ZXing) {
+            try {
+                await loadAssetTag(decoder);
+            } catch (error) {
+                reportAssetProblem('barcodeDecoder', error);
+                return null;
+            }
+        }
+
+        const { data, width, height } = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+        const luminance = new Uint8ClampedArray(width * height);
+        for (let i = 0, p = 0; p < luminance.length; i += 4, p++) {
+            luminance[p] = (data[i] * 299 + data[i + 1] * 587 + data[i + 2] * 114) / 1000;
+        }
+
+        const reader = new ZXing.MultiFormatReader();
+        reader.setHints(new Map([
+            [ZXing.DecodeHintType.POSSIBLE_FORMATS, [ZXing.BarcodeFormat.PDF_417, ZXing.BarcodeFormat.QR_CODE]],
+            [ZXing.DecodeHintType.TRY_HARDER, true]
+        ]));
+        try {
+            const bitmap = new ZXing.BinaryBitmap(new ZXing.HybridBinarizer(new ZXing.RGBLuminanceSource(luminance, width, height)));
+            const result = reader.decode(bitmap);
+            const format = result.getBarcodeFormat() === ZXing.BarcodeFormat.PDF_417 ? 'pdf417' : 'qr_code';
+            return { format, text: result.getText() };
+        } catch (error) {
+            // ZXing throws NotFoundException when the image has no barcode
+            return null;
+        }
+    }
+
+    // A card whose barcode held a document. A QR code with MRZ text goes
+    // through the MRZ display as is; for an AAMVA record one quick OCR pass
+    // looks for a printed MRZ to cross-check, and the barcode alone is used
+    // when there is none.
+    async processBarcodeDocument(barcode, canvas, container) {
+        try {
+            if (barcode.kind === 'mrz') {
                 this.updateCaptureBadge(container, 'Done!');
-                return this.parseAndDisplayMRZ(best.text);
+                await this.parseAndDisplayMRZ(barcode.text, null);
+                return;
             }
 
-            throw new Error('Could not read MRZ. Please ensure good lighting and the MRZ lines are clearly visible.');
+            this.updateOCRProgress(30, 'Barcode read, checking for an MRZ...');
+            const ocr = await this.extractMRZText(this.getMRZCrop(canvas));
+            this.updateCaptureBadge(container, 'Done!');
+            if (ocr?.text && parseMRZ(ocr.text, { expectedFormats: this.expectedMRZFormats() })) {
+                await this.parseAndDisplayMRZ(ocr.text, ocr.lines);
+            } else {
+                this.showBarcodeResult(barcode);
+            }
         } catch (error) {
-            console.error('MRZ processing error:', error);
-            this.hideCapturePreview(container);
-            // Restore camera container visibility for retry
-            if (container) container.style.display = '';
-            const captureBtn = document.getElementById('captureBack')?.closest('.controls');
-            if (captureBtn) captureBtn.style.display = '';
-            this.showPhaseError('mrzResult', 'MRZ Extraction Failed', error.message + '<p class="tip">Tips: Ensure good lighting, hold ID steady, MRZ should be clearly visible</p>', 'captureIDBack');
+            console.error('Barcode document error:', error);
+            this.showMRZRetry(container, error);
         }
     }
 
-    updateCaptureBadge(container, text) {
+    // Results for a card read from its AAMVA barcode alone
+    showBarcodeResult(barcode) {
+        const result = barcode.result;
+        const data = result.data;
+        this.documentType = result.documentType;
+
+        const policyResult = evaluatePolicy(result, this.policy);
+        if (policyResult.decision === 'reject') {
+            this.showPolicyRejection(policyResult);
+            return;
+        }
+
+        this.extractedData = {
+            ...this.extractedData, ...data,
+            mrzQuality: null, checksumReport: [], policy: policyResult, mrzConsensus: null, barcodeCheck: null
+        };
+
+        const cameraContainer = document.getElementById('video')?.closest('.camera-container');
+        if (cameraContainer) cameraContainer.style.display = 'none';
+        const captureBtn = document.getElementById('captureBack')?.closest('.controls');
+        if (captureBtn) captureBtn.style.display = 'none';
+
+        document.getElementById('mrzResult').innerHTML = `
+            <div class="success-message">
+                <strong><i class="fa-solid fa-circle-check"></i> Barcode Read Successfully</strong>
+                <p>Document Type: ${escapeHTML(this.documentType)}</p>
+                ${this.captureSources.back === 'upload' ? '<p class="tip"><i class="fa-solid fa-file-arrow-up"></i> Read from an uploaded image, not the live camera</p>' : ''}
+                <p class="tip"><i class="fa-solid fa-barcode"></i> No MRZ on this card; details come from its ${barcode.format === 'pdf417' ? 'PDF417' : 'QR'} barcode</p>
+                ${policyResult.decision === 'flag' ? `<p class="tip"><i class="fa-solid fa-flag"></i> Flagged for review: ${escapeHTML(policyResult.reasons.map(r => r.message).join('; '))}</p>` : ''}
+            </div>
+            <div class="result-card">
+                <div class="result-item">
+                    <span class="result-label">Name:</span>
+                    <span class="result-value">${escapeHTML(`${data.first_name} ${data.last_name}`)}</span>
+                </div>
+                <div class="result-item">
+                    <span class="result-label">ID Number:</span>
+                    <span class="result-value">${escapeHTML(data.id_number)}</span>
+                </div>
+                <div class="result-item">
+                    <span class="result-label">Date of Birth:</span>
+                    <span class="result-value">${escapeHTML(data.date_of_birth)}</span>
+                </div>
+                <div class="result-item">
+                    <span class="result-label">Expiry Date:</span>
+                    <span class="result-value">${escapeHTML(data.expiry_date)}</span>
+                </div>
+                <div class="result-item">
+                    <span class="result-label">Issued By:</span>
+                    <span class="result-value">${escapeHTML(`${data.jurisdiction ? data.jurisdiction + ', ' : ''}${data.issuing_state}`)}</span>
+                </div>
+                <div class="result-item">
+                    <span class="result-label">Gender:</span>
+                    <span class="result-value">${escapeHTML(data.gender)}</span>
+                </div>
+            </div>
+            <div class="controls">
+                <button class="btn-success" data-action="goToPhase" data-param="2">Continue to Front Scan <i class="fa-solid fa-arrow-right"></i></button>
+            </div>
+        `;
+    }
+
+    // One line on whether the barcode agreed with the MRZ
+    describeBarcodeCheck(check) {
+        if (!check) return '';
+        if (check.consistent) {
+            return `<p><i class="fa-solid fa-barcode"></i> Barcode matches the MRZ (${check.compared.length} fields compared)</p>`;
+        }
+        const fields = check.mismatches.map(m => `${m.field.replace(/_/g, ' ')} (MRZ ${m.mrz}, barcode ${m.barcode})`).join('; ');
+        return `<p class="tip"><i class="fa-solid fa-triangle-exclamation"></i> Barcode and MRZ disagree: ${escapeHTML(fields)}</p>`;
+    }
+
+    // Stop the applicant in phase 1 with the reasons the policy gave
+    showPolicyRejection(policyResult) {
+        this.extractedData.policy = policyResult;
+        const container = document.getElementById('video')?.closest('.camera-container');
+        this.hideCapturePreview(container);
+        const reasons = policyResult.reasons
+            .filter(r => r.action === 'reject')
+            .map(r => `<li>${escapeHTML(r.message)}</li>`).join('');
+        this.showPhaseError('mrzResult', 'Document Not Accepted',
+            `<p>${escapeHTML(this.documentType)}</p><ul>${reasons}</ul><p class="tip">If the document was misread, try scanning again.</p>`, 'captureIDBack');
+    }
+
+    // ==================== Document Upload ====================
+
+    // Elements and result area for each ID side that can be uploaded
+    getUploadConfig(side) {
+        const configs = {
+            back: { input: 'uploadBack', button: 'uploadBackBtn', video: 'video', canvas: 'canvas', resultId: 'mrzResult', retry: 'chooseIDBackFile' },
+            front: { input: 'uploadFront', button: 'uploadFrontBtn', video: 'video-front', canvas: 'canvas-front', resultId: 'portraitResult', retry: 'chooseIDFrontFile' }
+        };
+        return configs[side];
+    }
+
+    // File picker button plus drag-and-drop onto the camera area
+    setupDocumentUpload(side) {
+        const config = this.getUploadConfig(side);
+        const input = document.getElementById(config.input);
+        const container = document.getElementById(config.video)?.closest('.camera-container');
+        if (!input) return;
+
+        document.getElementById(config.button)?.addEventListener('click', () => input.click());
+        input.addEventListener('change', () => {
+            const file = input.files?.[0];
+            input.value = '';
+            if (file) this.handleDocumentUpload(side, file);
+        });
+
         if (!container) return;
-        const badge = container.querySelector('.capture-badge');
-        if (badge) badge.textContent = text;
+        container.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            container.classList.add('drop-target');
+        });
+        container.addEventListener('dragleave', () => container.classList.remove('drop-target'));
+        container.addEventListener('drop', (e) => {
+            e.preventDefault();
+            container.classList.remove('drop-target');
+            const file = e.dataTransfer?.files?.[0];
+            if (file) this.handleDocumentUpload(side, file);
+        });
     }
 
-    // Extract bottom portion of image as MRZ region
-    extractMRZRegion(canvas, cropStart = 0.60) {
-        const mrzCanvas = document.createElement('canvas');
-        const ctx = mrzCanvas.getContext('2d');
-        const cropY = Math.floor(canvas.height * cropStart);
-        const cropHeight = canvas.height - cropY;
+    chooseIDBackFile() {
+        document.getElementById('uploadBack')?.click();
+    }
 
-        mrzCanvas.width = canvas.width;
-        mrzCanvas.height = cropHeight;
+    chooseIDFrontFile() {
+        document.getElementById('uploadFront')?.click();
+    }
 
-        ctx.drawImage(canvas, 0, cropY, canvas.width, cropHeight, 0, 0, canvas.width, cropHeight);
-        return mrzCanvas;
+    // Put an uploaded image through the same pipeline as a camera capture
+    async handleDocumentUpload(side, file) {
+        const config = this.getUploadConfig(side);
+        if ((side === 'back' && this.currentPhase !== 1) || (side === 'front' && this.currentPhase !== 2)) return;
+
+        let image;
+        try {
+            image = await this.loadImageFile(file);
+        } catch (error) {
+            console.error('Upload error:', error);
+            this.showPhaseError(config.resultId, 'Image Not Readable', error.message, config.retry);
+            return;
+        }
+
+        const canvas = document.getElementById(config.canvas);
+        canvas.width = image.width;
+        canvas.height = image.height;
+        canvas.getContext('2d').drawImage(image, 0, 0);
+        const container = document.getElementById(config.video)?.closest('.camera-container');
+        if (container) container.style.display = '';
+        console.log(`Uploaded ${file.name} (${image.width}x${image.height}) for ID ${side}`);
+
+        if (side === 'back') {
+            this.stopMRZAutoCapture();
+            this.captureSources.back = 'upload';
+            await this.processIDBackImage(canvas, container);
+        } else {
+            this.captureSources.front = 'upload';
+            await this.processIDFrontImage(canvas, container);
+        }
     }
 
-    async parseAndDisplayMRZ(rawText) {
-        console.log('Raw OCR Text:', rawText);
+    // Decode a JPEG, PNG or HEIC file into an upright canvas no larger than
+    // maxUploadDimension. The type is taken from the file's bytes.
+    async loadImageFile(file) {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        const type = detectImageType(bytes);
+        if (!type) {
+            throw new Error('Please choose a JPEG, PNG or HEIC image of your ID.');
+        }
 
-        // Clean the text - preserving line breaks
-        const cleanText = this.cleanMRZText(rawText);
-        console.log('Cleaned Text:', cleanText);
+        let blob = file;
+        let orientation = type === 'jpeg' ? readJPEGOrientation(bytes) : 1;
+        if (type === 'heic') {
+            blob = await this.decodeHEIC(file);
+            orientation = 1;
+        }
+        const img = await this.loadImageElement(blob);
 
-        // Try different parsing strategies
-        let parsedData = null;
+        // Browsers that support image-orientation already draw JPEGs upright
+        if (window.CSS?.supports('image-orientation', 'from-image')) orientation = 1;
+        const upright = orientationTransform(orientation, img.naturalWidth, img.naturalHeight);
 
-        // First: try using natural line breaks from OCR (most reliable)
-        const naturalLines = cleanText.split('\n').filter(l => l.length >= 20);
-        console.log('Natural MRZ lines:', naturalLines.length, naturalLines.map(l => l.length));
+        const scale = Math.min(1, this.maxUploadDimension / Math.max(upright.width, upright.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(upright.width * scale);
+        canvas.height = Math.round(upright.height * scale);
+        const ctx = canvas.getContext('2d');
+        ctx.scale(scale, scale);
+        ctx.transform(...upright.transform);
+        ctx.drawImage(img, 0, 0);
+        return canvas;
+    }
 
-        if (naturalLines.length >= 3 && naturalLines[0].length >= 25) {
-            // TD1: 3 lines of ~30 chars
-            parsedData = this.parseTD1(naturalLines.slice(0, 3));
-            if (parsedData) this.documentType = 'TD1 (Omang/ID Card)';
+    // Safari decodes HEIC itself; elsewhere the self-hosted decoder converts it to JPEG
+    async decodeHEIC(file) {
+        try {
+            await this.loadImageElement(file);
+            return file;
+        } catch (error) {
+            // Not natively supported, fall through to the decoder
         }
 
-        if (!parsedData && naturalLines.length >= 2 && naturalLines[0].length >= 40) {
-            // TD3: 2 lines of ~44 chars
-            parsedData = this.parseTD3(naturalLines.slice(0, 2));
-            if (parsedData) this.documentType = 'TD3 (Passport)';
+        const decoder = this.assets.assets.heicDecoder;
+        if (!decoder) {
+            throw new Error('HEIC images are not supported here. Please upload a JPEG or PNG instead.');
         }
+        if (!window.heic2any) {
+            try {
+                await loadAssetTag(decoder);
+            } catch (error) {
+                reportAssetProblem('heicDecoder', error);
+                throw new Error('The HEIC decoder could not be loaded. Please upload a JPEG or PNG instead.');
+            }
+        }
+        const converted = await heic2any({ blob: file, toType: 'image/jpeg', quality: 0.92 });
+        return Array.isArray(converted) ? converted[0] : converted;
+    }
 
-        if (!parsedData && naturalLines.length >= 2 && naturalLines[0].length >= 30) {
-            // TD2: 2 lines of ~36 chars
-            parsedData = this.parseTD2(naturalLines.slice(0, 2));
-            if (parsedData) this.documentType = 'TD2 (ID Card)';
+    loadImageElement(blob) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(blob);
+            const img = new Image();
+            img.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(img);
+            };
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('The image could not be decoded. Please try a different file.'));
+            };
+            img.src = url;
+        });
+    }
+
+    // ==================== Capture Quality Gate ====================
+
+    // Cameras whose capture is gated on frame quality, the controls that
+    // capture from them, and the region that has to be sharp and glare-free:
+    // found in the frame where `locate` can find it, else a fixed region
+    getQualityGateConfig(videoId) {
+        const gates = {
+            'video': {
+                button: 'captureBack', action: 'captureIDBack', region: QUALITY_REGIONS.mrz,
+                locate: canvas => this.locateMRZ(canvas)?.box.points
+            },
+            'video-front': { button: 'captureFront', action: 'captureIDFront', region: QUALITY_REGIONS.portrait }
+        };
+        return gates[videoId] || null;
+    }
+
+    // Check the live video a few times a second, holding the capture button
+    // back with specific guidance until the frame is sharp, glare-free and
+    // well exposed
+    startQualityGate(videoId) {
+        const config = this.getQualityGateConfig(videoId);
+        if (!config) return;
+        this.stopQualityGate(videoId);
+
+        const gate = {
+            ...config, videoId, ok: false, streak: 0, overridden: false, started: Date.now(), verdict: null,
+            checks: 0, located: null
+        };
+        this.qualityGates[videoId] = gate;
+        this.setCaptureAllowed(gate, false);
+        this.setQualityGuidance(gate, 'Checking image quality...', false);
+        gate.timer = setInterval(() => this.checkFrameQuality(gate), this.qualityCheckInterval);
+    }
+
+    stopQualityGate(videoId) {
+        const gate = this.qualityGates[videoId];
+        if (!gate) return;
+        clearInterval(gate.timer);
+        delete this.qualityGates[videoId];
+        this.setCaptureAllowed(gate, true);
+        this.setQualityGuidance(gate, null);
+    }
+
+    // True when there is no gate on this camera or its frame has passed
+    isCaptureAllowed(videoId) {
+        const gate = this.qualityGates[videoId];
+        return !gate || gate.ok || gate.overridden;
+    }
+
+    checkFrameQuality(gate) {
+        const video = document.getElementById(gate.videoId);
+        // Nothing to judge while the camera warms up or a capture is on screen
+        if (!video || video.readyState < 2 || video.videoWidth === 0 || video.style.display === 'none') return;
+
+        try {
+            // A small copy is plenty for the checks and keeps them cheap
+            const scale = Math.min(1, 480 / video.videoWidth);
+            const sample = gate.sample || (gate.sample = document.createElement('canvas'));
+            sample.width = Math.round(video.videoWidth * scale);
+            sample.height = Math.round(video.videoHeight * scale);
+            const ctx = sample.getContext('2d', { willReadFrequently: true });
+            ctx.drawImage(video, 0, 0, sample.width, sample.height);
+
+            // The region is looked for again every few checks only; a miss is
+            // kept too, so a card out of view is not searched for on every tick
+            if (gate.locate && (!gate.located || gate.checks - gate.located.check >= this.qualityLocateEvery)) {
+                gate.located = { check: gate.checks, points: gate.locate(sample) || null };
+            }
+            gate.checks++;
+            const points = gate.located?.points;
+            const region = points ? regionFromPoints(points, sample.width, sample.height, gate.region.label) : gate.region;
+            const metrics = measureFrameQuality(ctx.getImageData(0, 0, sample.width, sample.height), region);
+            const verdict = evaluateFrameQuality(metrics, this.qualityThresholds, region);
+            gate.verdict = verdict;
+            // Two passing frames in a row, so one lucky frame does not flicker the button on
+            gate.streak = verdict.ok ? gate.streak + 1 : 0;
+            gate.ok = gate.streak >= 2;
+            if (!gate.ok && Date.now() - gate.started > this.qualityGateTimeout) gate.overridden = true;
+
+            this.setCaptureAllowed(gate, gate.ok || gate.overridden);
+            if (gate.ok) {
+                this.setQualityGuidance(gate, 'Looks good - ready to capture', true);
+            } else {
+                const message = verdict.issues[0]?.message || 'Hold steady...';
+                this.setQualityGuidance(gate, gate.overridden ? `${message}, or capture anyway` : message, false);
+            }
+        } catch (error) {
+            // A broken check must not lock the applicant out
+            console.warn('Frame quality check failed, capture left open:', error);
+            this.stopQualityGate(gate.videoId);
         }
+    }
+
+    // The capture button and any "Try Again" button that would capture
+    setCaptureAllowed(gate, allowed) {
+        document.querySelectorAll(`#${gate.button}, [data-action="${gate.action}"]`).forEach(button => {
+            button.disabled = !allowed;
+        });
+    }
+
+    // Guidance strip over the camera; null hides it
+    setQualityGuidance(gate, text, ok) {
+        const container = document.getElementById(gate.videoId)?.closest('.camera-container');
+        const guidance = container?.querySelector('.quality-guidance');
+        if (!guidance) return;
+        guidance.textContent = text || '';
+        guidance.classList.toggle('hidden', !text);
+        guidance.classList.toggle('ok', Boolean(ok));
+    }
 
-        // Fallback: character-count splitting (for single-block text without line breaks)
-        const flatText = cleanText.replace(/\n/g, '');
+    // ==================== Hands-free Auto-Capture ====================
 
-        if (!parsedData && flatText.length >= 80) {
-            const lines = this.splitIntoMRZLines(flatText, 30, 3);
-            parsedData = this.parseTD1(lines);
-            if (parsedData) this.documentType = 'TD1 (Omang/ID Card)';
+    // Scan the live video at a throttled rate until an MRZ parses with every
+    // check digit passing, then take the normal success path
+    startMRZAutoCapture() {
+        if (this.autoCapture?.active || this.currentPhase !== 1) return;
+        this.autoCapture = { active: true };
+        this.setAutoCaptureStatus('Looking for the MRZ...');
+        this.runMRZAutoCapture(this.autoCapture);
+    }
+
+    stopMRZAutoCapture() {
+        if (!this.autoCapture) return;
+        this.autoCapture.active = false;
+        this.autoCapture = null;
+        this.setAutoCaptureStatus(null);
+    }
+
+    // Live guidance in the camera overlay; null restores the default text
+    setAutoCaptureStatus(text) {
+        const overlayText = document.getElementById('video')?.closest('.camera-container')?.querySelector('.overlay-text');
+        if (!overlayText) return;
+        if (overlayText.dataset.defaultText === undefined) overlayText.dataset.defaultText = overlayText.textContent;
+        overlayText.textContent = text || overlayText.dataset.defaultText;
+    }
+
+    async runMRZAutoCapture(state) {
+        const video = document.getElementById('video');
+
+        while (state.active) {
+            const started = Date.now();
+            // Frames the quality gate turns down are not worth an OCR pass
+            if (video && video.readyState >= 2 && video.videoWidth > 0 && this.isCaptureAllowed('video')) {
+                const frame = document.createElement('canvas');
+                frame.width = video.videoWidth;
+                frame.height = video.videoHeight;
+                frame.getContext('2d').drawImage(video, 0, 0);
+
+                const attempt = await this.readAutoCaptureFrame(frame);
+                if (!state.active) return;
+
+                if (attempt.done) {
+                    this.stopMRZAutoCapture();
+                    await this.completeMRZAutoCapture(frame, attempt);
+                    return;
+                }
+                this.setAutoCaptureStatus(attempt.status);
+            }
+            const wait = Math.max(0, this.autoCaptureInterval - (Date.now() - started));
+            await new Promise(resolve => setTimeout(resolve, wait));
         }
+    }
 
-        if (!parsedData && flatText.length >= 80) {
-            const lines = this.splitIntoMRZLines(flatText, 44, 2);
-            parsedData = this.parseTD3(lines);
-            if (parsedData) this.documentType = 'TD3 (Passport)';
+    // One quick OCR pass over a live frame, turned into guidance for the user
+    async readAutoCaptureFrame(frame) {
+        const ocr = await this.runOCRPass(this.getMRZCrop(frame, 0.5), '6', 'Scanning', true);
+        const flat = ocr?.text ? cleanMRZText(ocr.text).replace(/\n/g, '') : '';
+        if (flat.length < 30) {
+            return { done: false, status: 'Move closer - fit the MRZ lines inside the frame' };
         }
 
-        if (!parsedData && flatText.length >= 70) {
-            const lines = this.splitIntoMRZLines(flatText, 36, 2);
-            parsedData = this.parseTD2(lines);
-            if (parsedData) this.documentType = 'TD2 (ID Card)';
+        const result = parseMRZ(ocr.text, { ocrLines: ocr.lines });
+        if (!result) {
+            return { done: false, status: 'Hold steady...' };
         }
 
-        if (!parsedData) {
-            throw new Error('Could not parse MRZ data. Please ensure the MRZ is clearly visible.');
+        const report = result.checksums.report;
+        const passed = report.filter(e => e.status === 'pass').length;
+        if (report.length > 0 && passed === report.length) {
+            return { done: true, text: ocr.text, lines: ocr.lines };
         }
+        return { done: false, status: `Hold steady - ${passed} of ${report.length} check digits read` };
+    }
 
-        // Validate checksums
-        const checksumValidation = this.validateMRZChecksums(
-            parsedData,
-            parsedData.raw_lines || [],
-            this.documentType.split(' ')[0]
-        );
+    // Freeze the frame that passed and hand it to the usual MRZ display
+    async completeMRZAutoCapture(frame, attempt) {
+        const video = document.getElementById('video');
+        const canvas = document.getElementById('canvas');
+        canvas.width = frame.width;
+        canvas.height = frame.height;
+        canvas.getContext('2d').drawImage(frame, 0, 0);
 
-        // Calculate quality score
-        const quality = this.calculateMRZQuality(
-            parsedData,
-            parsedData.raw_lines || [],
-            this.documentType,
-            checksumValidation
-        );
+        const container = video.closest('.camera-container');
+        this.triggerFlash(container);
+        this.captureSources.back = 'camera';
+        this.capturedImages.idBack = canvas.toDataURL('image/jpeg', 0.85);
+        this.showCapturePreview(container, this.prepareCardImage(canvas, 'idBackCard'));
+
+        const mrzResult = document.getElementById('mrzResult');
+        mrzResult.classList.remove('hidden');
+        this.extractedData.barcode = null;
+        // The MRZ already parsed with every check digit, so no classification is needed
+        this.documentClass = null;
+        try {
+            this.updateCaptureBadge(container, 'Done!');
+            await this.parseAndDisplayMRZ(attempt.text, attempt.lines);
+        } catch (error) {
+            console.error('Auto-capture MRZ error:', error);
+            this.showMRZRetry(container, error);
+        }
+    }
+
+    updateCaptureBadge(container, text) {
+        if (!container) return;
+        const badge = container.querySelector('.capture-badge');
+        if (badge) badge.textContent = text;
+    }
+
+    // Extract bottom portion of image as MRZ region
+    extractMRZRegion(canvas, cropStart = 0.60) {
+        const mrzCanvas = document.createElement('canvas');
+        const ctx = mrzCanvas.getContext('2d');
+        const cropY = Math.floor(canvas.height * cropStart);
+        const cropHeight = canvas.height - cropY;
+
+        mrzCanvas.width = canvas.width;
+        mrzCanvas.height = cropHeight;
 
-        this.extractedData = { ...this.extractedData, ...parsedData, mrzQuality: quality };
+        ctx.drawImage(canvas, 0, cropY, canvas.width, cropHeight, 0, 0, canvas.width, cropHeight);
+        return mrzCanvas;
+    }
+
+    async parseAndDisplayMRZ(rawText, ocrLines, consensus = null) {
+        console.log('Raw OCR Text:', rawText);
+
+        // Detect the format, then parse, validate and score in the MRZ library.
+        // The OCR symbols give each field its own confidence.
+        const result = parseMRZ(rawText, { ocrLines, expectedFormats: this.expectedMRZFormats() });
+        if (!result) {
+            throw new Error(this.mrzFailureMessage());
+        }
+        console.log('Parsed MRZ:', result.documentType, result.data.raw_lines);
+
+        const parsedData = result.data;
+        const checksumValidation = result.checksums;
+        const quality = result.quality;
+        this.documentType = result.documentType;
+
+        // Apply the acceptance policy before the applicant can continue
+        const policyResult = evaluatePolicy(result, this.policy);
+        if (policyResult.decision === 'reject') {
+            this.showPolicyRejection(policyResult);
+            return;
+        }
+
+        // Cross-check against an AAMVA barcode read from the same card
+        const barcode = this.extractedData.barcode;
+        const barcodeCheck = barcode?.kind === 'aamva' ? crossCheckDocumentData(parsedData, barcode.result.data) : null;
+
+        this.extractedData = {
+            ...this.extractedData, ...parsedData,
+            mrzQuality: quality, checksumReport: checksumValidation.report, policy: policyResult,
+            mrzConsensus: consensus
+                ? { frames_read: consensus.framesRead, frames_used: consensus.framesUsed,
+                    agreement: consensus.agreement, disagreements: consensus.disagreements }
+                : null,
+            barcodeCheck
+        };
 
         // --- Done processing: hide the camera/scan UI, show results only ---
         const cameraContainer = document.getElementById('video')?.closest('.camera-container');
@@ -847,9 +1653,17 @@ class IdentityVerificationSystem {
             <div class="success-message">
                 <strong><i class="fa-solid fa-circle-check"></i> MRZ Data Extracted Successfully</strong>
                 <p>Document Type: ${this.documentType}</p>
+                ${consensus ? `<p>Combined from ${consensus.framesUsed} of ${consensus.framesRead} frames (${Math.round(consensus.agreement * 100)}% agreement)</p>` : ''}
+                ${this.captureSources.back === 'upload' ? '<p class="tip"><i class="fa-solid fa-file-arrow-up"></i> Read from an uploaded image, not the live camera</p>' : ''}
+                ${barcode?.kind === 'mrz' ? '<p>Read from the QR code on the document</p>' : ''}
+                ${this.describeBarcodeCheck(barcodeCheck)}
                 <p>Quality Score: <span class="${qualityClass}" style="display:inline-block;padding:2px 8px;border-radius:12px;font-size:12px;">${quality.quality} (${quality.percentage}%)</span></p>
                 ${quality.issues.length > 0 ? `<p class="tip"><i class="fa-solid fa-triangle-exclamation"></i> ${quality.issues.join(', ')}</p>` : ''}
-                ${checksumValidation.warnings.length > 0 ? `<p class="tip"><i class="fa-solid fa-triangle-exclamation"></i> Checksum warnings: ${checksumValidation.warnings.length}</p>` : ''}
+                ${checksumValidation.warnings.length > 0 ? `<p class="tip"><i class="fa-solid fa-triangle-exclamation"></i> Check digits: ${checksumValidation.report.filter(e => e.status === 'pass').length}/${checksumValidation.report.length} passed (${checksumValidation.warnings.join('; ')})</p>` : ''}
+                ${policyResult.decision === 'flag' ? `<p class="tip"><i class="fa-solid fa-flag"></i> Flagged for review: ${escapeHTML(policyResult.reasons.map(r => r.message).join('; '))}</p>` : ''}
+                ${parsedData.omang_check?.applicable && !parsedData.omang_check.consistent ? `<p class="tip"><i class="fa-solid fa-triangle-exclamation"></i> Omang check failed: ${parsedData.omang_check.errors.join('; ')}</p>` : ''}
+                ${parsedData.name_truncated ? `<p class="tip"><i class="fa-solid fa-scissors"></i> The name fills the whole MRZ line and may be truncated. You will be asked for your full name at review.</p>` : ''}
+                ${parsedData.corrections.length > 0 ? `<p class="tip"><i class="fa-solid fa-wand-magic-sparkles"></i> Corrected using check digits: ${parsedData.corrections.map(c => `${c.from}→${c.to} (line ${c.line + 1}, pos ${c.position + 1})`).join(', ')}</p>` : ''}
             </div>
             <div class="result-card">
                 <div class="result-item">
@@ -866,7 +1680,15 @@ class IdentityVerificationSystem {
                 </div>
                 <div class="result-item">
                     <span class="result-label">Nationality:</span>
-                    <span class="result-value">${parsedData.nationality}</span>
+                    <span class="result-value">${parsedData.nationality} (${describeCountryCheck(parsedData.country_checks.nationality)})</span>
+                </div>
+                <div class="result-item">
+                    <span class="result-label">Issuing State:</span>
+                    <span class="result-value">${parsedData.issuing_state} (${describeCountryCheck(parsedData.country_checks.issuing_state)})</span>
+                </div>
+                <div class="result-item">
+                    <span class="result-label">Document Code:</span>
+                    <span class="result-value">${parsedData.document_code || 'UNKNOWN'}</span>
                 </div>
                 <div class="result-item">
                     <span class="result-label">Gender:</span>
@@ -879,84 +1701,6 @@ class IdentityVerificationSystem {
         `;
     }
 
-    // Split by newlines FIRST, clean each line individually, return with \n preserved
-    cleanMRZText(text) {
-        // Split by newlines first to preserve line structure
-        const rawLines = text.split(/[\r\n]+/).filter(line => line.trim().length > 0);
-
-        // Clean each line: uppercase, strip non-MRZ chars
-        const cleanedLines = rawLines
-            .map(line => line.toUpperCase().replace(/[^A-Z0-9<]/g, ''))
-            .filter(line => line.length > 0);
-
-        // MRZ lines are 30 (TD1), 36 (TD2), or 44 (TD3) chars.
-        // Keep lines that look like MRZ (mostly <, uppercase, digits, length >= 10)
-        const mrzLikeLines = cleanedLines.filter(line => {
-            if (line.length < 10) return false;
-            const hasFillers = (line.match(/</g) || []).length >= 2;
-            return hasFillers || line.length >= 25;
-        });
-
-        if (mrzLikeLines.length >= 2) {
-            // Sort by length descending - take the longest lines which are likely MRZ
-            const sorted = [...mrzLikeLines].sort((a, b) => b.length - a.length);
-            // For TD1 we need 3, for TD2/TD3 we need 2
-            const needed = sorted.length >= 3 && sorted[2].length >= 25 ? 3 : 2;
-            const topLines = sorted.slice(0, needed);
-            // Preserve original order from the OCR output
-            const ordered = mrzLikeLines.filter(l => topLines.includes(l));
-            console.log('MRZ lines found via newlines:', ordered);
-            // Return lines joined WITH newline to preserve structure
-            return ordered.join('\n');
-        }
-
-        // Fallback: clean the whole thing as one block (no line info available)
-        const block = text.toUpperCase().replace(/[^A-Z0-9<]/g, '');
-        console.log('MRZ cleaned as single block, length:', block.length);
-        return block;
-    }
-
-    // Context-aware field cleaning - FIXED: only high-confidence corrections
-    cleanMRZField(value, fieldType) {
-        if (!value) return value;
-
-        let cleaned = value.toUpperCase().trim();
-
-        if (fieldType === 'numeric') {
-            // For numeric fields: only high-confidence OCR error fixes
-            cleaned = cleaned
-                .replace(/O/g, '0')
-                .replace(/I/g, '1')
-                .replace(/L/g, '1')
-                .replace(/[^0-9]/g, '');
-        } else if (fieldType === 'alpha') {
-            // For alpha fields: only high-confidence reverse corrections
-            cleaned = cleaned
-                .replace(/0/g, 'O')
-                .replace(/1/g, 'I')
-                .replace(/[^A-Z<\s]/g, '');
-        }
-
-        return cleaned;
-    }
-
-    // Split text into MRZ lines
-    splitIntoMRZLines(text, lineLength, numLines) {
-        const lines = [];
-        for (let i = 0; i < numLines; i++) {
-            const start = i * lineLength;
-            const end = start + lineLength;
-            if (start < text.length) {
-                let line = text.substring(start, end);
-                if (line.length < lineLength) {
-                    line = line.padEnd(lineLength, '<');
-                }
-                lines.push(line);
-            }
-        }
-        return lines;
-    }
-
     // ==================== OpenCV Preprocessing ====================
 
     async preprocessForMRZ(canvas) {
@@ -1097,513 +1841,553 @@ class IdentityVerificationSystem {
         }
     }
 
-    // ==================== OCR Extraction ====================
+    // ==================== Card Rectification ====================
 
-    // Single-pass OCR optimized for MRZ
-    async extractMRZText(canvas) {
-        if (!window.Tesseract) {
-            throw new Error('Tesseract.js not loaded. Please refresh the page.');
-        }
+    // Find the card's four corners and warp it flat. Cards photographed at an
+    // angle are keystoned, which in-plane deskewing cannot undo. The output
+    // has the ID-1 aspect ratio (85.6 x 54 mm), or ID-3 (125 x 88 mm) when
+    // the outline is clearly a passport page.
+    // Returns { canvas, corners, format } or null when no card outline is found.
+    rectifyCard(canvas) {
+        const corners = this.detectCardQuad(canvas);
+        if (!corners) return null;
 
+        const mats = [];
         try {
-            // Primary: PSM 6 (uniform block) with MRZ whitelist
-            const result = await this.runOCRPass(canvas, '6', 'Reading document', true);
+            const edge = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+            const [tl, tr, br, bl] = corners;
+            const measuredWidth = Math.max(edge(tl, tr), edge(bl, br));
+            const measuredHeight = Math.max(edge(tl, bl), edge(tr, br));
+            const measuredAspect = measuredWidth / measuredHeight;
+
+            const formats = { 'ID-1': 85.6 / 54, 'ID-3': 125 / 88 };
+            const format = Math.abs(measuredAspect - formats['ID-3']) < Math.abs(measuredAspect - formats['ID-1']) - 0.05
+                ? 'ID-3' : 'ID-1';
+            const width = Math.round(Math.min(Math.max(measuredWidth, 800), 1600));
+            const height = Math.round(width / formats[format]);
 
-            if (result && this.cleanMRZText(result.text).length >= 60) {
-                console.log(`OCR succeeded: length=${result.text.length}, confidence=${result.confidence}`);
-                return result.text;
-            }
-
-            // Fallback: PSM 6 WITHOUT whitelist (whitelist can cause Tesseract to
-            // drop characters entirely in some builds, especially the < filler)
-            console.log('Whitelist OCR insufficient, retrying without whitelist...');
-            this.updateOCRProgress(50, 'Retrying scan...');
-            const fallback = await this.runOCRPass(canvas, '6', 'Retrying scan', false);
-
-            if (fallback && this.cleanMRZText(fallback.text).length >= 30) {
-                return fallback.text;
-            }
+            const src = cv.imread(canvas);
+            mats.push(src);
+            const srcPoints = cv.matFromArray(4, 1, cv.CV_32FC2, corners.flatMap(p => [p.x, p.y]));
+            mats.push(srcPoints);
+            const dstPoints = cv.matFromArray(4, 1, cv.CV_32FC2, [0, 0, width, 0, width, height, 0, height]);
+            mats.push(dstPoints);
+            const transform = cv.getPerspectiveTransform(srcPoints, dstPoints);
+            mats.push(transform);
+
+            const warped = new cv.Mat();
+            mats.push(warped);
+            cv.warpPerspective(src, warped, transform, new cv.Size(width, height),
+                cv.INTER_LINEAR, cv.BORDER_REPLICATE, new cv.Scalar());
 
-            return result?.text || fallback?.text || null;
+            const output = document.createElement('canvas');
+            cv.imshow(output, warped);
+            console.log(`Card rectified as ${format} (${width}x${height})`);
+            return { canvas: output, corners, format };
         } catch (error) {
-            console.error('OCR error:', error);
-            return null;
-        }
-    }
-
-    async runOCRPass(canvas, psmMode, statusLabel, useWhitelist) {
-        try {
-            const config = {
-                logger: m => {
-                    if (m.status === 'recognizing text' && m.progress) {
-                        this.updateOCRProgress(Math.round(m.progress * 100), statusLabel + '...');
-                    }
-                },
-                tessedit_pageseg_mode: psmMode,
-                preserve_interword_spaces: '1',
-                user_defined_dpi: '300'
-            };
-
-            if (useWhitelist) {
-                config.tessedit_char_whitelist = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789<';
-            }
-
-            const { data: { text, confidence } } = await Tesseract.recognize(canvas, 'eng', config);
-            console.log(`OCR PSM${psmMode} wl=${useWhitelist}: "${text.substring(0, 80)}..." conf=${confidence}`);
-            return { text, confidence: confidence || 0 };
-        } catch (err) {
-            console.warn(`OCR PSM ${psmMode} failed:`, err);
+            console.error('Card rectification error:', error);
             return null;
+        } finally {
+            mats.forEach(mat => {
+                try { mat.delete(); } catch (e) { /* ignore */ }
+            });
         }
     }
 
-    updateOCRProgress(percent, statusText) {
-        const fill = document.getElementById('mrzProgressFill');
-        const status = document.getElementById('mrzProgressStatus');
-        if (fill) fill.style.width = percent + '%';
-        if (status) status.textContent = statusText;
-    }
-
-    // ==================== MRZ Parsing ====================
-
-    // TD1 parsing - FIXED: checksum validation for document number length
-    parseTD1(lines) {
+    // Largest convex four-sided contour covering a fair share of the frame,
+    // as corners ordered top-left, top-right, bottom-right, bottom-left with
+    // the long edge on top
+    detectCardQuad(canvas) {
+        const mats = [];
         try {
-            if (lines.length < 3) return null;
+            if (!window.cv || !window.__opencvReady) return null;
 
-            const line1 = this.padLine(lines[0], 30);
-            const line2 = this.padLine(lines[1], 30);
-            const line3 = this.padLine(lines[2], 30);
-
-            console.log('Parsing TD1 lines:', { line1, line2, line3 });
-
-            // ID Number (positions 5-14) - use checksum to validate length
-            let idNumber = line1.substring(5, 14).replace(/</g, '');
-            const idCheckDigit = parseInt(line1.charAt(14));
-
-            // Try 9-char document number first
-            let id9 = this.cleanMRZField(line1.substring(5, 14).replace(/</g, ''), 'numeric');
-            const calc9 = this.calculateMRZCheckDigit(line1.substring(5, 14));
-            if (calc9 === idCheckDigit) {
-                idNumber = id9;
-            } else {
-                // Try with optional character at position 15
-                let id10 = this.cleanMRZField(line1.substring(5, 15).replace(/</g, ''), 'numeric');
-                idNumber = id10 || id9;
-            }
-
-            // Date of Birth (positions 0-6 in line 2)
-            const dobStr = this.cleanMRZField(line2.substring(0, 6), 'numeric');
-            const dob = this.parseMRZDate(dobStr, 'birth');
-
-            // Gender (position 7 in line 2)
-            const gender = line2.charAt(7);
-
-            // Expiry Date (positions 8-14 in line 2)
-            const expiryStr = this.cleanMRZField(line2.substring(8, 14), 'numeric');
-            const expiry = this.parseMRZDate(expiryStr, 'expiry');
-
-            // Nationality (positions 15-17 in line 2)
-            const nationality = line2.substring(15, 18).replace(/</g, '').trim();
-
-            // Names from line 3 (format: SURNAME<<FIRSTNAME<MIDDLE)
-            const nameParts = line3.split('<<');
-            let lastName = '';
-            let firstName = '';
+            const src = cv.imread(canvas);
+            mats.push(src);
+            const scale = Math.min(1, 800 / src.cols);
+            const small = new cv.Mat();
+            mats.push(small);
+            cv.resize(src, small, new cv.Size(Math.round(src.cols * scale), Math.round(src.rows * scale)));
 
-            if (nameParts.length >= 1) {
-                lastName = this.cleanMRZField(nameParts[0].replace(/</g, ' ').trim(), 'alpha');
-            }
-            if (nameParts.length >= 2) {
-                firstName = this.cleanMRZField(nameParts[1].replace(/</g, ' ').trim(), 'alpha');
-            }
+            const gray = new cv.Mat();
+            mats.push(gray);
+            cv.cvtColor(small, gray, cv.COLOR_RGBA2GRAY);
+            cv.GaussianBlur(gray, gray, new cv.Size(5, 5), 0);
 
-            if (!firstName && lastName.includes('<')) {
-                const altParts = line3.split('<').filter(p => p.trim());
-                if (altParts.length >= 2) {
-                    lastName = this.cleanMRZField(altParts[0], 'alpha');
-                    firstName = this.cleanMRZField(altParts.slice(1).join(' '), 'alpha');
+            const edges = new cv.Mat();
+            mats.push(edges);
+            cv.Canny(gray, edges, 50, 150);
+            const kernel = cv.getStructuringElement(cv.MORPH_RECT, new cv.Size(3, 3));
+            mats.push(kernel);
+            cv.dilate(edges, edges, kernel, new cv.Point(-1, -1), 2);
+
+            const contours = new cv.MatVector();
+            mats.push(contours);
+            const hierarchy = new cv.Mat();
+            mats.push(hierarchy);
+            cv.findContours(edges, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE);
+
+            const minArea = small.cols * small.rows * 0.2;
+            let best = null;
+            for (let i = 0; i < contours.size(); i++) {
+                const contour = contours.get(i);
+                const area = cv.contourArea(contour);
+                if (area >= minArea && (!best || area > best.area)) {
+                    const approx = new cv.Mat();
+                    cv.approxPolyDP(contour, approx, 0.02 * cv.arcLength(contour, true), true);
+                    if (approx.rows === 4 && cv.isContourConvex(approx)) {
+                        const points = [];
+                        for (let j = 0; j < 4; j++) {
+                            points.push({ x: approx.data32S[j * 2] / scale, y: approx.data32S[j * 2 + 1] / scale });
+                        }
+                        best = { area, points };
+                    }
+                    approx.delete();
                 }
+                contour.delete();
             }
+            if (!best) return null;
 
-            return {
-                first_name: firstName || 'UNKNOWN',
-                last_name: lastName || 'UNKNOWN',
-                id_number: idNumber || 'UNKNOWN',
-                date_of_birth: dob,
-                gender: this.parseGender(gender),
-                expiry_date: expiry,
-                nationality: nationality || 'BW',
-                raw_lines: [line1, line2, line3]
-            };
+            return this.orderCardCorners(best.points);
         } catch (error) {
-            console.error('TD1 parsing error:', error);
+            console.error('Card detection error:', error);
             return null;
+        } finally {
+            mats.forEach(mat => {
+                try { mat.delete(); } catch (e) { /* ignore */ }
+            });
         }
     }
 
-    parseTD3(lines) {
-        try {
-            if (lines.length < 2) return null;
-
-            const line1 = this.padLine(lines[0], 44);
-            const line2 = this.padLine(lines[1], 44);
-
-            // Names (positions 5-44 in line 1)
-            const nameSection = line1.substring(5, 44);
-            const nameParts = nameSection.split('<<');
-            let lastName = this.cleanMRZField(nameParts[0]?.replace(/</g, ' ').trim() || '', 'alpha');
-            let firstName = this.cleanMRZField(nameParts[1]?.replace(/</g, ' ').trim() || '', 'alpha');
-
-            // Passport Number (positions 0-9 in line 2)
-            const idNumber = this.cleanMRZField(line2.substring(0, 9).replace(/</g, '').trim(), 'numeric');
+    orderCardCorners(points) {
+        const bySum = [...points].sort((a, b) => (a.x + a.y) - (b.x + b.y));
+        const byDiff = [...points].sort((a, b) => (a.y - a.x) - (b.y - b.x));
+        let corners = [bySum[0], byDiff[0], bySum[3], byDiff[3]];
 
-            // Nationality (positions 10-13 in line 2)
-            const nationality = line2.substring(10, 13).replace(/</g, '').trim();
+        // A card held in portrait: turn the order so the long edge runs along the top
+        const edge = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+        if (edge(corners[0], corners[1]) < edge(corners[0], corners[3])) {
+            corners = [corners[3], corners[0], corners[1], corners[2]];
+        }
+        return corners;
+    }
 
-            // Date of Birth (positions 13-19 in line 2)
-            const dobStr = this.cleanMRZField(line2.substring(13, 19), 'numeric');
-            const dob = this.parseMRZDate(dobStr, 'birth');
+    // Flatten a captured frame to the card when one is found, remembering
+    // the rectified image as evidence under the given key, with the card's
+    // proportions and background colours for the same-card check
+    prepareCardImage(canvas, evidenceKey) {
+        const card = this.rectifyCard(canvas);
+        if (evidenceKey) {
+            this.capturedImages[evidenceKey] = card ? card.canvas.toDataURL('image/jpeg', 0.9) : null;
+            this.cardEvidence[evidenceKey] = card
+                ? {
+                    rectified: true,
+                    format: card.format,
+                    corners: card.corners.map(p => ({ x: Math.round(p.x), y: Math.round(p.y) })),
+                    aspect: quadAspect(card.corners),
+                    color: this.measureCardColors(card.canvas, true)
+                }
+                : { rectified: false, color: this.measureCardColors(canvas, false) };
+        }
+        return card ? card.canvas : canvas;
+    }
+
+    // Background colour profile of a card image on a small copy. Without a
+    // card outline only the middle of the frame is measured, where the card
+    // most likely is.
+    measureCardColors(canvas, rectified) {
+        const small = document.createElement('canvas');
+        small.width = Math.min(320, canvas.width);
+        small.height = Math.max(1, Math.round(canvas.height * small.width / canvas.width));
+        const ctx = small.getContext('2d');
+        ctx.drawImage(canvas, 0, 0, small.width, small.height);
+        const region = rectified
+            ? { x: 0.03, y: 0.03, width: 0.94, height: 0.94 }
+            : { x: 0.2, y: 0.2, width: 0.6, height: 0.6 };
+        return measureColorProfile(ctx.getImageData(0, 0, small.width, small.height), region);
+    }
+
+    // ==================== MRZ Localization ====================
+
+    // Find the MRZ band with OpenCV: a blackhat transform brings out dark
+    // text on the light card, a horizontal gradient keeps the dense rows of
+    // OCR-B characters, and closing merges them into wide bands. The widest
+    // band with an MRZ-like aspect ratio is cut out straightened.
+    // Returns { canvas, box } or null when OpenCV is missing or no band is found.
+    locateMRZ(canvas) {
+        const mats = [];
+        try {
+            if (!window.cv || !window.__opencvReady) return null;
 
-            // Gender (position 20 in line 2)
-            const gender = line2.charAt(20);
+            const src = cv.imread(canvas);
+            mats.push(src);
 
-            // Expiry Date (positions 21-27 in line 2)
-            const expiryStr = this.cleanMRZField(line2.substring(21, 27), 'numeric');
-            const expiry = this.parseMRZDate(expiryStr, 'expiry');
+            // Work on a 600px-wide copy; the box is scaled back afterwards
+            const scale = Math.min(1, 600 / src.cols);
+            const small = new cv.Mat();
+            mats.push(small);
+            cv.resize(src, small, new cv.Size(Math.round(src.cols * scale), Math.round(src.rows * scale)));
 
-            return {
-                first_name: firstName || 'UNKNOWN',
-                last_name: lastName || 'UNKNOWN',
-                id_number: idNumber || 'UNKNOWN',
-                date_of_birth: dob,
-                gender: this.parseGender(gender),
-                expiry_date: expiry,
-                nationality: nationality || 'UNKNOWN',
-                raw_lines: [line1, line2]
+            const gray = new cv.Mat();
+            mats.push(gray);
+            cv.cvtColor(small, gray, cv.COLOR_RGBA2GRAY);
+            cv.GaussianBlur(gray, gray, new cv.Size(3, 3), 0);
+
+            const rectKernel = cv.getStructuringElement(cv.MORPH_RECT, new cv.Size(13, 5));
+            mats.push(rectKernel);
+            const squareKernel = cv.getStructuringElement(cv.MORPH_RECT, new cv.Size(21, 21));
+            mats.push(squareKernel);
+
+            const blackhat = new cv.Mat();
+            mats.push(blackhat);
+            cv.morphologyEx(gray, blackhat, cv.MORPH_BLACKHAT, rectKernel);
+
+            // Horizontal gradient, scaled back to 0-255
+            const gradX = new cv.Mat();
+            mats.push(gradX);
+            cv.Sobel(blackhat, gradX, cv.CV_32F, 1, 0, -1);
+            const absGradX = new cv.Mat();
+            mats.push(absGradX);
+            cv.convertScaleAbs(gradX, absGradX);
+            const gradient = new cv.Mat();
+            mats.push(gradient);
+            cv.normalize(absGradX, gradient, 0, 255, cv.NORM_MINMAX, cv.CV_8U);
+
+            // Join characters into lines, then lines into one band
+            const thresh = new cv.Mat();
+            mats.push(thresh);
+            cv.morphologyEx(gradient, gradient, cv.MORPH_CLOSE, rectKernel);
+            cv.threshold(gradient, thresh, 0, 255, cv.THRESH_BINARY | cv.THRESH_OTSU);
+            cv.morphologyEx(thresh, thresh, cv.MORPH_CLOSE, squareKernel);
+            const noKernel = new cv.Mat();
+            mats.push(noKernel);
+            cv.erode(thresh, thresh, noKernel, new cv.Point(-1, -1), 4);
+
+            const contours = new cv.MatVector();
+            mats.push(contours);
+            const hierarchy = new cv.Mat();
+            mats.push(hierarchy);
+            cv.findContours(thresh, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE);
+
+            let best = null;
+            for (let i = 0; i < contours.size(); i++) {
+                const contour = contours.get(i);
+                const rect = cv.minAreaRect(contour);
+                contour.delete();
+
+                // Normalise so width is the long side and angle follows it
+                let { width, height } = rect.size;
+                let angle = rect.angle;
+                if (width < height) {
+                    [width, height] = [height, width];
+                    angle += 90;
+                }
+                if (angle > 90) angle -= 180;
+                if (angle <= -90) angle += 180;
+
+                // MRZ bands are long and thin, and span a good part of the card
+                const aspect = width / Math.max(height, 1);
+                if (aspect < 4 || width < small.cols * 0.25) continue;
+                if (!best || width * height > best.width * best.height) {
+                    best = { center: rect.center, width, height, angle };
+                }
+            }
+            if (!best) return null;
+
+            // Back to full resolution, with a margin so edge characters survive
+            const box = {
+                center: { x: best.center.x / scale, y: best.center.y / scale },
+                width: best.width / scale * 1.06,
+                height: best.height / scale * 1.3,
+                angle: best.angle
             };
+            box.points = this.rotatedBoxPoints(box);
+
+            return { canvas: this.cropRotatedBox(src, box), box };
         } catch (error) {
-            console.error('TD3 parsing error:', error);
+            console.error('MRZ localization error:', error);
             return null;
+        } finally {
+            mats.forEach(mat => {
+                try { mat.delete(); } catch (e) { /* ignore */ }
+            });
         }
     }
 
-    parseTD2(lines) {
-        try {
-            if (lines.length < 2) return null;
-
-            const line1 = this.padLine(lines[0], 36);
-            const line2 = this.padLine(lines[1], 36);
-
-            const nameSection = line1.substring(5, 36);
-            const nameParts = nameSection.split('<<');
-            let lastName = this.cleanMRZField(nameParts[0]?.replace(/</g, ' ').trim() || '', 'alpha');
-            let firstName = this.cleanMRZField(nameParts[1]?.replace(/</g, ' ').trim() || '', 'alpha');
-
-            const idNumber = this.cleanMRZField(line2.substring(0, 9).replace(/</g, '').trim(), 'numeric');
-            const nationality = line2.substring(10, 13).replace(/</g, '').trim();
-
-            const dobStr = this.cleanMRZField(line2.substring(13, 19), 'numeric');
-            const dob = this.parseMRZDate(dobStr, 'birth');
+    // Corners of a rotated box, clockwise from top-left
+    rotatedBoxPoints(box) {
+        const radians = box.angle * Math.PI / 180;
+        const cos = Math.cos(radians);
+        const sin = Math.sin(radians);
+        return [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([dx, dy]) => {
+            const x = dx * box.width / 2;
+            const y = dy * box.height / 2;
+            return { x: box.center.x + x * cos - y * sin, y: box.center.y + x * sin + y * cos };
+        });
+    }
 
-            const gender = line2.charAt(20);
+    // Rotate the image so the box is level, then cut it out
+    cropRotatedBox(src, box) {
+        const mats = [];
+        try {
+            const center = new cv.Point(box.center.x, box.center.y);
+            const rotMatrix = cv.getRotationMatrix2D(center, box.angle, 1.0);
+            mats.push(rotMatrix);
+            const rotated = new cv.Mat();
+            mats.push(rotated);
+            cv.warpAffine(src, rotated, rotMatrix, new cv.Size(src.cols, src.rows),
+                cv.INTER_LINEAR, cv.BORDER_REPLICATE, new cv.Scalar());
 
-            const expiryStr = this.cleanMRZField(line2.substring(21, 27), 'numeric');
-            const expiry = this.parseMRZDate(expiryStr, 'expiry');
+            const x = Math.max(0, Math.round(box.center.x - box.width / 2));
+            const y = Math.max(0, Math.round(box.center.y - box.height / 2));
+            const width = Math.min(rotated.cols - x, Math.round(box.width));
+            const height = Math.min(rotated.rows - y, Math.round(box.height));
+            const roi = rotated.roi(new cv.Rect(x, y, width, height));
+            mats.push(roi);
 
-            return {
-                first_name: firstName || 'UNKNOWN',
-                last_name: lastName || 'UNKNOWN',
-                id_number: idNumber || 'UNKNOWN',
-                date_of_birth: dob,
-                gender: this.parseGender(gender),
-                expiry_date: expiry,
-                nationality: nationality || 'UNKNOWN',
-                raw_lines: [line1, line2]
-            };
-        } catch (error) {
-            console.error('TD2 parsing error:', error);
-            return null;
+            const output = document.createElement('canvas');
+            cv.imshow(output, roi);
+            return output;
+        } finally {
+            mats.forEach(mat => {
+                try { mat.delete(); } catch (e) { /* ignore */ }
+            });
         }
     }
 
-    // ==================== MRZ Helpers ====================
-
-    padLine(line, length) {
-        return (line || '').padEnd(length, '<').substring(0, length);
+    rotateCanvas180(canvas) {
+        const output = document.createElement('canvas');
+        output.width = canvas.width;
+        output.height = canvas.height;
+        const ctx = output.getContext('2d');
+        ctx.translate(canvas.width, canvas.height);
+        ctx.rotate(Math.PI);
+        ctx.drawImage(canvas, 0, 0);
+        return output;
     }
 
-    // FIXED: Context-aware century determination
-    parseMRZDate(dateStr, context) {
-        try {
-            if (!dateStr || dateStr.length < 6) return 'UNKNOWN';
+    // Outline the located MRZ band on the frozen preview. The SVG shares the
+    // frame's coordinates and is scaled the same way as the preview image.
+    drawMRZBox(container, box, canvas) {
+        const preview = container?.querySelector('.capture-preview');
+        if (!preview) return;
+        preview.querySelector('.mrz-box')?.remove();
+        const points = box.points.map(p => `${Math.round(p.x)},${Math.round(p.y)}`).join(' ');
+        preview.insertAdjacentHTML('beforeend', `
+            <svg class="mrz-box" viewBox="0 0 ${canvas.width} ${canvas.height}" preserveAspectRatio="xMidYMid slice">
+                <polygon points="${points}"></polygon>
+            </svg>
+        `);
+    }
 
-            const year = parseInt(dateStr.substring(0, 2));
-            const month = parseInt(dateStr.substring(2, 4));
-            const day = parseInt(dateStr.substring(4, 6));
+    // MRZ crop for a frame: the located band when OpenCV finds one,
+    // otherwise the bottom of the frame, from where the classified
+    // document's MRZ usually starts
+    getMRZCrop(canvas, cropStart = this.documentClass?.mrzCropStart ?? 0.65) {
+        return this.locateMRZ(canvas)?.canvas || this.extractMRZRegion(canvas, cropStart);
+    }
 
-            // Validate month and day ranges
-            if (month < 1 || month > 12) return 'UNKNOWN';
-            if (day < 1 || day > 31) return 'UNKNOWN';
+    // ==================== OCR Worker Pool ====================
 
-            // Context-aware century determination
-            const currentYear = new Date().getFullYear();
-            const currentTwoDigitYear = currentYear % 100;
-            let fullYear;
+    // Load the OCR workers once so each pass skips engine startup and model
+    // loading. Passes queue for a free worker, so up to ocrWorkerCount run
+    // side by side. Resolves to null when no worker could be started, for
+    // instance when an OCR asset is missing or fails its integrity check.
+    async startOCRPool() {
+        const { lang, fallbackLang } = this.ocrModel;
+        const pool = { workers: [], queue: [], lang };
+        let scripts = null;
 
-            if (context === 'expiry') {
-                // Expiry dates: future-biased. Anything within next 30 years is 2000s
-                fullYear = year <= (currentTwoDigitYear + 30) % 100 ? 2000 + year : 1900 + year;
+        try {
+            scripts = await this.loadOCRScripts();
+
+            let model = null;
+            let first = null;
+            if (hasAssetFile(this.assets, 'traineddata', `${lang}.traineddata`)) {
+                first = await this.loadTraineddata(lang)
+                    .then(data => {
+                        model = data;
+                        return this.createOCRWorker(scripts, lang, model);
+                    })
+                    .catch(error => {
+                        console.warn(`MRZ OCR model "${lang}" not available, using "${fallbackLang}":`, error);
+                        return null;
+                    });
             } else {
-                // Birth dates: use current year as pivot
-                fullYear = year > currentTwoDigitYear ? 1900 + year : 2000 + year;
+                console.info(`MRZ OCR model "${lang}" is not in assets.json, using "${fallbackLang}"`);
             }
+            if (!first) {
+                pool.lang = fallbackLang;
+                model = await this.loadTraineddata(fallbackLang);
+                first = await this.createOCRWorker(scripts, fallbackLang, model);
+            }
+            pool.workers.push(first);
 
-            const monthStr = String(month).padStart(2, '0');
-            const dayStr = String(day).padStart(2, '0');
+            const others = await Promise.allSettled(
+                Array.from({ length: this.ocrWorkerCount - 1 }, () => this.createOCRWorker(scripts, pool.lang, model))
+            );
+            others.forEach(result => {
+                if (result.status === 'fulfilled') pool.workers.push(result.value);
+                else console.warn('OCR worker failed to start:', result.reason);
+            });
 
-            return `${fullYear}-${monthStr}-${dayStr}`;
+            console.log(`OCR pool ready: ${pool.workers.length} worker(s), model "${pool.lang}"`);
+            return pool;
         } catch (error) {
-            console.error('Date parsing error:', error);
-            return 'UNKNOWN';
+            console.error('OCR pool failed to start:', error);
+            pool.workers.forEach(entry => entry.worker.terminate());
+            return null;
+        } finally {
+            // Every worker has imported both scripts by now
+            scripts?.urls.forEach(url => URL.revokeObjectURL(url));
         }
     }
 
-    parseGender(code) {
-        if (code === 'M' || code === 'm') return 'M';
-        if (code === 'F' || code === 'f') return 'F';
-        return 'X';
+    // The worker and core scripts, verified (see lib/tesseract-assets.mjs)
+    async loadOCRScripts() {
+        try {
+            return await fetchOCRScripts(this.assets);
+        } catch (error) {
+            reportAssetProblem('tesseractWorker', error);
+            throw error;
+        }
     }
 
-    // ==================== MRZ Checksum Validation ====================
+    async loadTraineddata(lang) {
+        try {
+            return await fetchTraineddata(this.assets, lang);
+        } catch (error) {
+            reportAssetProblem('traineddata', error);
+            throw error;
+        }
+    }
 
-    calculateMRZCheckDigit(input) {
-        const weights = [7, 3, 1];
-        const charValues = {
-            '<': 0, '0': 0, '1': 1, '2': 2, '3': 3, '4': 4,
-            '5': 5, '6': 6, '7': 7, '8': 8, '9': 9,
-            'A': 10, 'B': 11, 'C': 12, 'D': 13, 'E': 14, 'F': 15,
-            'G': 16, 'H': 17, 'I': 18, 'J': 19, 'K': 20, 'L': 21,
-            'M': 22, 'N': 23, 'O': 24, 'P': 25, 'Q': 26, 'R': 27,
-            'S': 28, 'T': 29, 'U': 30, 'V': 31, 'W': 32, 'X': 33,
-            'Y': 34, 'Z': 35
-        };
+    async createOCRWorker(scripts, lang, model) {
+        const entry = { worker: null, busy: false, params: null, onProgress: null };
+        entry.worker = await startOCRWorker(scripts, lang, model, m => entry.onProgress?.(m));
+        return entry;
+    }
 
-        let sum = 0;
-        for (let i = 0; i < input.length; i++) {
-            const char = input[i];
-            const value = charValues[char] !== undefined ? charValues[char] : 0;
-            const weight = weights[i % 3];
-            sum += value * weight;
+    acquireOCRWorker(pool) {
+        const idle = pool.workers.find(entry => !entry.busy);
+        if (idle) {
+            idle.busy = true;
+            return Promise.resolve(idle);
         }
+        return new Promise(resolve => pool.queue.push(resolve));
+    }
 
-        return sum % 10;
+    releaseOCRWorker(pool, entry) {
+        const next = pool.queue.shift();
+        if (next) {
+            next(entry);
+        } else {
+            entry.busy = false;
+        }
     }
 
-    validateMRZChecksums(data, lines, documentType) {
-        const validation = {
-            valid: true,
-            errors: [],
-            warnings: []
-        };
+    // Recognize on a pooled worker, setting parameters only when they differ
+    // from the worker's last job
+    async recognizeOCR(canvas, params, logger) {
+        const pool = await this.ocrPool;
+        if (!pool) {
+            throw new Error('OCR engine is not available');
+        }
 
+        const entry = await this.acquireOCRWorker(pool);
         try {
-            if (documentType === 'TD1' && lines.length >= 2) {
-                const line1 = lines[0];
-                const line2 = lines[1];
-
-                // Document number check digit (position 14 in line 1)
-                const docNum = line1.substring(5, 14);
-                const docCheck = parseInt(line1.charAt(14));
-                const docCalc = this.calculateMRZCheckDigit(docNum);
-                if (!isNaN(docCheck) && docCheck !== docCalc) {
-                    validation.warnings.push(`Document number checksum mismatch (expected ${docCalc}, got ${docCheck})`);
-                }
-
-                // DOB check digit (position 6 in line 2)
-                const dob = line2.substring(0, 6);
-                const dobCheck = parseInt(line2.charAt(6));
-                const dobCalc = this.calculateMRZCheckDigit(dob);
-                if (!isNaN(dobCheck) && dobCheck !== dobCalc) {
-                    validation.warnings.push(`DOB checksum mismatch (expected ${dobCalc}, got ${dobCheck})`);
-                }
-
-                // Expiry check digit (position 14 in line 2)
-                const expiry = line2.substring(8, 14);
-                const expCheck = parseInt(line2.charAt(14));
-                const expCalc = this.calculateMRZCheckDigit(expiry);
-                if (!isNaN(expCheck) && expCheck !== expCalc) {
-                    validation.warnings.push(`Expiry date checksum mismatch (expected ${expCalc}, got ${expCheck})`);
-                }
-
-                // Composite check digit (position 29 in line 2)
-                const composite = line1.substring(5, 30) + line2.substring(0, 7) + line2.substring(8, 15) + line2.substring(18, 29);
-                const compCheck = parseInt(line2.charAt(29));
-                const compCalc = this.calculateMRZCheckDigit(composite);
-                if (!isNaN(compCheck) && compCheck !== compCalc) {
-                    validation.warnings.push(`Composite checksum mismatch (expected ${compCalc}, got ${compCheck})`);
-                }
+            const key = JSON.stringify(params);
+            if (entry.params !== key) {
+                await entry.worker.setParameters(params);
+                entry.params = key;
             }
+            entry.onProgress = logger;
+            const { data } = await entry.worker.recognize(canvas);
+            return data;
+        } finally {
+            entry.onProgress = null;
+            this.releaseOCRWorker(pool, entry);
+        }
+    }
 
-            // TD3 checksum validation
-            if (documentType === 'TD3' && lines.length >= 2) {
-                const line2 = lines[1];
+    stopOCRPool() {
+        const pending = this.ocrPool;
+        this.ocrPool = null;
+        if (!pending) return;
+        pending.then(pool => {
+            pool?.workers.forEach(entry => {
+                entry.worker.terminate().catch(() => { /* ignore */ });
+            });
+        });
+    }
 
-                // Passport number check digit (position 9)
-                const passNum = line2.substring(0, 9);
-                const passCheck = parseInt(line2.charAt(9));
-                const passCalc = this.calculateMRZCheckDigit(passNum);
-                if (!isNaN(passCheck) && passCheck !== passCalc) {
-                    validation.warnings.push(`Passport number checksum mismatch (expected ${passCalc}, got ${passCheck})`);
-                }
+    // ==================== OCR Extraction ====================
 
-                // DOB check digit (position 19)
-                const dob = line2.substring(13, 19);
-                const dobCheck = parseInt(line2.charAt(19));
-                const dobCalc = this.calculateMRZCheckDigit(dob);
-                if (!isNaN(dobCheck) && dobCheck !== dobCalc) {
-                    validation.warnings.push(`DOB checksum mismatch (expected ${dobCalc}, got ${dobCheck})`);
-                }
+    // Single-pass OCR optimized for MRZ
+    async extractMRZText(canvas) {
+        if (!this.ocrProvider) {
+            throw new Error('OCR engine not available. Please refresh the page.');
+        }
 
-                // Expiry check digit (position 27)
-                const expiry = line2.substring(21, 27);
-                const expCheck = parseInt(line2.charAt(27));
-                const expCalc = this.calculateMRZCheckDigit(expiry);
-                if (!isNaN(expCheck) && expCheck !== expCalc) {
-                    validation.warnings.push(`Expiry checksum mismatch (expected ${expCalc}, got ${expCheck})`);
-                }
+        try {
+            // Primary: PSM 6 (uniform block) with MRZ whitelist
+            const result = await this.runOCRPass(canvas, '6', 'Reading document', true);
 
-                // Composite check (position 43)
-                const composite = line2.substring(0, 10) + line2.substring(13, 20) + line2.substring(21, 43);
-                const compCheck = parseInt(line2.charAt(43));
-                const compCalc = this.calculateMRZCheckDigit(composite);
-                if (!isNaN(compCheck) && compCheck !== compCalc) {
-                    validation.warnings.push(`Composite checksum mismatch (expected ${compCalc}, got ${compCheck})`);
-                }
+            if (result && cleanMRZText(result.text).length >= 60) {
+                console.log(`OCR succeeded: length=${result.text.length}, confidence=${result.confidence}`);
+                return result;
             }
 
-            // TD2 checksum validation
-            if (documentType === 'TD2' && lines.length >= 2) {
-                const line2 = lines[1];
-
-                // Document number check digit (position 9)
-                const docNum = line2.substring(0, 9);
-                const docCheck = parseInt(line2.charAt(9));
-                const docCalc = this.calculateMRZCheckDigit(docNum);
-                if (!isNaN(docCheck) && docCheck !== docCalc) {
-                    validation.warnings.push(`Document number checksum mismatch (expected ${docCalc}, got ${docCheck})`);
-                }
+            // A provider that ignores the whitelist would only read the same again
+            if (!this.ocrProvider.supportsWhitelist) {
+                return result?.text ? result : null;
+            }
 
-                // DOB check digit (position 19)
-                const dob = line2.substring(13, 19);
-                const dobCheck = parseInt(line2.charAt(19));
-                const dobCalc = this.calculateMRZCheckDigit(dob);
-                if (!isNaN(dobCheck) && dobCheck !== dobCalc) {
-                    validation.warnings.push(`DOB checksum mismatch (expected ${dobCalc}, got ${dobCheck})`);
-                }
+            // Fallback: PSM 6 WITHOUT whitelist (whitelist can cause Tesseract to
+            // drop characters entirely in some builds, especially the < filler)
+            console.log('Whitelist OCR insufficient, retrying without whitelist...');
+            this.updateOCRProgress(50, 'Retrying scan...');
+            const fallback = await this.runOCRPass(canvas, '6', 'Retrying scan', false);
 
-                // Expiry check digit (position 27)
-                const expiry = line2.substring(21, 27);
-                const expCheck = parseInt(line2.charAt(27));
-                const expCalc = this.calculateMRZCheckDigit(expiry);
-                if (!isNaN(expCheck) && expCheck !== expCalc) {
-                    validation.warnings.push(`Expiry checksum mismatch (expected ${expCalc}, got ${expCheck})`);
-                }
+            if (fallback && cleanMRZText(fallback.text).length >= 30) {
+                return fallback;
             }
+
+            return (result?.text ? result : null) || (fallback?.text ? fallback : null);
         } catch (error) {
-            validation.warnings.push('Could not validate checksums: ' + error.message);
+            console.error('OCR error:', error);
+            return null;
         }
-
-        return validation;
     }
 
-    calculateMRZQuality(parsedData, lines, documentType, checksumValidation) {
-        let score = 0;
-        const maxScore = 100;
-        const issues = [];
-
-        // 1. Text length match (20 points)
-        const expectedLengths = { 'TD1': 90, 'TD2': 72, 'TD3': 88 };
-        const totalLength = lines.join('').length;
-        const expectedLength = expectedLengths[documentType.split(' ')[0]] || 90;
-        const lengthDiff = Math.abs(totalLength - expectedLength);
-
-        if (lengthDiff === 0) {
-            score += 20;
-        } else if (lengthDiff <= 5) {
-            score += 15;
-            issues.push('Minor length mismatch');
-        } else if (lengthDiff <= 10) {
-            score += 10;
-            issues.push('Moderate length mismatch');
-        } else {
-            issues.push('Significant length mismatch');
-        }
-
-        // 2. Checksum validation (30 points)
-        const checksumErrors = checksumValidation.warnings.length;
-        if (checksumErrors === 0) {
-            score += 30;
-        } else if (checksumErrors === 1) {
-            score += 20;
-            issues.push('1 checksum warning');
-        } else if (checksumErrors === 2) {
-            score += 10;
-            issues.push(`${checksumErrors} checksum warnings`);
-        } else {
-            issues.push(`${checksumErrors} checksum failures`);
-        }
-
-        // 3. Field completeness (30 points)
-        const requiredFields = ['first_name', 'last_name', 'id_number', 'date_of_birth'];
-        const missingFields = requiredFields.filter(f =>
-            !parsedData[f] || parsedData[f] === 'UNKNOWN'
-        );
-
-        if (missingFields.length === 0) {
-            score += 30;
-        } else if (missingFields.length === 1) {
-            score += 20;
-            issues.push(`Missing: ${missingFields[0]}`);
-        } else {
-            score += 10;
-            issues.push(`Missing ${missingFields.length} fields`);
-        }
-
-        // 4. Character plausibility (20 points)
-        const nameHasNumbers = /\d/.test(parsedData.first_name + parsedData.last_name);
-        const idHasLetters = /[A-Z]/.test(parsedData.id_number || '');
-
-        if (!nameHasNumbers && !idHasLetters) {
-            score += 20;
-        } else if (nameHasNumbers || idHasLetters) {
-            score += 10;
-            if (nameHasNumbers) issues.push('Name contains numbers');
-            if (idHasLetters) issues.push('ID contains letters');
-        }
-
-        // Determine quality level using design system colors
-        let quality = 'Low';
-        let qualityColor = 'var(--color-error)';
-
-        if (score >= 80) {
-            quality = 'High';
-            qualityColor = 'var(--color-success)';
-        } else if (score >= 60) {
-            quality = 'Medium';
-            qualityColor = 'var(--color-warning)';
+    async runOCRPass(canvas, psmMode, statusLabel, useWhitelist) {
+        try {
+            const { text, confidence, lines } = await this.ocrProvider.recognize(canvas, {
+                psm: psmMode,
+                whitelist: useWhitelist ? 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789<' : '',
+                onProgress: progress => this.updateOCRProgress(Math.round(progress * 100), statusLabel + '...')
+            });
+            console.log(`OCR ${this.ocrProvider.name} PSM${psmMode} wl=${useWhitelist}: "${text.substring(0, 80)}..." conf=${confidence}`);
+            // Keep per-character confidences and boxes for the field-level scores
+            return { text, confidence: confidence || 0, lines: lines.length > 0 ? lines : null };
+        } catch (err) {
+            console.warn(`OCR PSM ${psmMode} failed:`, err);
+            return null;
         }
+    }
 
-        return {
-            score, maxScore,
-            percentage: Math.round((score / maxScore) * 100),
-            quality, qualityColor, issues
-        };
+    updateOCRProgress(percent, statusText) {
+        const fill = document.getElementById('mrzProgressFill');
+        const status = document.getElementById('mrzProgressStatus');
+        if (fill) fill.style.width = percent + '%';
+        if (status) status.textContent = statusText;
     }
 
     // ==================== Phase B: Front-of-ID (Portrait) ====================
 
     async captureIDFront() {
+        if (!this.isCaptureAllowed('video-front')) return;
+
         const video = document.getElementById('video-front');
         const canvas = document.getElementById('canvas-front');
         const ctx = canvas.getContext('2d');
@@ -1624,11 +2408,20 @@ class IdentityVerificationSystem {
         // Trigger flash
         this.triggerFlash(container);
 
-        // Freeze frame with scanning animation
-        this.showCapturePreview(container, canvas);
+        this.captureSources.front = 'camera';
+        await this.processIDFrontImage(canvas, container);
+    }
 
+    // Shared by camera captures and uploads: freeze the image, then find the portrait
+    async processIDFrontImage(canvas, container) {
         this.capturedImages.idFront = canvas.toDataURL('image/jpeg', 0.85);
 
+        // Warp the card flat when its outline can be found
+        const cardCanvas = this.prepareCardImage(canvas, 'idFrontCard');
+
+        // Freeze frame with scanning animation
+        this.showCapturePreview(container, cardCanvas);
+
         // Show processing status
         const portraitResult = document.getElementById('portraitResult');
         portraitResult.innerHTML = `
@@ -1638,12 +2431,18 @@ class IdentityVerificationSystem {
         `;
         portraitResult.classList.remove('hidden');
 
+        // Read the printed details and compare them with the MRZ
+        this.extractedData.frontCheck = await this.checkFrontFields(cardCanvas);
+
+        // Both sides must come from the same card
+        if (!this.checkSameCard()) return;
+
         // Ensure face models are loaded
         if (window.faceapi && !faceapi.nets.tinyFaceDetector.isLoaded) {
             await this.loadFaceModels();
         }
 
-        await this.extractPortrait(canvas);
+        await this.extractPortrait(cardCanvas);
     }
 
     async extractPortrait(canvas) {
@@ -1713,6 +2512,9 @@ class IdentityVerificationSystem {
                 <div class="success-message">
                     <strong><i class="fa-solid fa-circle-check"></i> Portrait Extracted Successfully</strong>
                     <p>Face detected and isolated from ID card</p>
+                    ${this.captureSources.front === 'upload' ? '<p class="tip"><i class="fa-solid fa-file-arrow-up"></i> Taken from an uploaded image. The selfie step still needs your live camera.</p>' : ''}
+                    ${this.describeFrontCheck(this.extractedData.frontCheck)}
+                    ${this.describeSameCardCheck(this.extractedData.cardConsistency)}
                 </div>
                 <div class="preview-box">
                     <img src="${this.capturedImages.portrait}" alt="Extracted Portrait">
@@ -1731,6 +2533,89 @@ class IdentityVerificationSystem {
         }
     }
 
+    // ==================== Front-of-ID Cross-Check ====================
+
+    // OCR the printed fields on the front with the template for the document
+    // read in phase 1 and compare them with its MRZ. Returns the comparison
+    // with the values read, or null when the document has no template or
+    // OCR failed; the applicant is never held up by this check.
+    async checkFrontFields(canvas) {
+        const template = selectFrontTemplate(this.extractedData, (this.documentType || '').split(' ')[0]);
+        if (!template || !this.ocrProvider) return null;
+
+        const status = document.querySelector('#portraitResult .processing-status');
+        if (status) status.textContent = 'Reading printed details...';
+        try {
+            const { x, y, width, height } = FRONT_TEMPLATES[template].region;
+            const crop = document.createElement('canvas');
+            crop.width = Math.round(canvas.width * width);
+            crop.height = Math.round(canvas.height * height);
+            crop.getContext('2d').drawImage(canvas,
+                canvas.width * x, canvas.height * y, crop.width, crop.height,
+                0, 0, crop.width, crop.height);
+
+            // PSM 4: a single column of label and value lines
+            const { text } = await this.ocrProvider.recognize(crop, { psm: 4 });
+            const front = readFrontFields(text, template);
+            const check = { ...compareFrontWithMRZ(this.extractedData, front), fields: front.fields };
+            console.log(`Front/MRZ check (${template}):`, check);
+            return check;
+        } catch (error) {
+            console.warn('Front-side OCR failed:', error);
+            return null;
+        } finally {
+            if (status) status.textContent = 'Detecting portrait...';
+        }
+    }
+
+    // One line on whether the printed details agreed with the MRZ
+    describeFrontCheck(check) {
+        if (!check) return '';
+        if (check.compared.length === 0) {
+            return '<p class="tip"><i class="fa-solid fa-circle-info"></i> The printed details could not be read for comparison</p>';
+        }
+        if (check.consistent) {
+            return `<p><i class="fa-solid fa-id-card"></i> Printed details match the MRZ (${check.compared.length} fields compared)</p>`;
+        }
+        const fields = check.mismatches.map(m => `${m.field.replace(/_/g, ' ')} (MRZ ${m.mrz}, front ${m.front})`).join('; ');
+        return `<p class="tip"><i class="fa-solid fa-triangle-exclamation"></i> Printed details differ from the MRZ: ${fields}. Make sure both sides are from the same document.</p>`;
+    }
+
+    // ==================== Same-Card Check ====================
+
+    // Compare the front with the back from phase 1: outline, background
+    // colours and the printed number and birth date. The outcome goes into
+    // the acceptance policy (rule cardConsistency); returns false when the
+    // policy rejects the pair and the front has to be captured again.
+    checkSameCard() {
+        const consistency = compareCardSides(
+            this.cardEvidence.idBackCard, this.cardEvidence.idFrontCard, this.extractedData.frontCheck);
+        this.extractedData.cardConsistency = consistency;
+        console.log('Same-card check:', consistency);
+
+        if (this.extractedData.policy) {
+            this.extractedData.policy = applyCardConsistency(this.extractedData.policy, consistency, this.policy);
+        }
+        if (this.extractedData.policy?.decision !== 'reject') return true;
+
+        const container = document.getElementById('video-front')?.closest('.camera-container');
+        this.hideCapturePreview(container);
+        const failed = consistency.checks
+            .filter(c => c.result === 'fail')
+            .map(c => `<li>${c.check.replace(/_/g, ' ')}: ${c.detail}</li>`).join('');
+        this.showPhaseError('portraitResult', 'Front and Back Do Not Match',
+            `<p>The front does not appear to belong to the document scanned in step 1.</p><ul>${failed}</ul><p class="tip">Capture the front of the same document.</p>`, 'captureIDFront');
+        return false;
+    }
+
+    describeSameCardCheck(consistency) {
+        if (!consistency || consistency.consistent === null) return '';
+        if (consistency.consistent) {
+            return '<p><i class="fa-solid fa-clone"></i> Front and back appear to be the same card</p>';
+        }
+        return `<p class="tip"><i class="fa-solid fa-triangle-exclamation"></i> Front and back may be from different cards (${consistency.failed.join(', ').replace(/_/g, ' ')} differ). This will be reviewed.</p>`;
+    }
+
     // ==================== Phase C: Live Selfie & Liveness ====================
 
     // FIXED: Removed Promise wrapper, added guard flag, uses { once: true }
@@ -2400,6 +3285,75 @@ class IdentityVerificationSystem {
 
     // ==================== Phase D: Review & Submit ====================
 
+    // Mark review inputs whose MRZ field OCR was unsure of
+    highlightLowConfidenceFields() {
+        const inputsByField = {
+            name: ['lastName', 'firstName'],
+            surname: ['lastName'],
+            given_names: ['firstName'],
+            document_number: ['idNumber'],
+            date_of_birth: ['dateOfBirth'],
+            sex: ['gender'],
+            nationality: ['nationality']
+        };
+        const lowFields = this.extractedData.mrzQuality?.lowConfidenceFields || [];
+
+        Object.values(inputsByField).flat().forEach(id => {
+            const input = document.getElementById(id);
+            input.classList.remove('low-confidence');
+            input.removeAttribute('title');
+        });
+        lowFields.forEach(({ field, confidence, checked }) => {
+            (inputsByField[field] || []).forEach(id => {
+                const input = document.getElementById(id);
+                input.classList.add('low-confidence');
+                input.title = `OCR confidence ${confidence}%` + (checked ? ' (confirmed by check digit)' : ' - please verify');
+            });
+        });
+    }
+
+    // Mark review inputs whose printed value on the front disagreed with the MRZ
+    highlightFrontMismatches() {
+        const inputsByField = {
+            last_name: 'lastName',
+            first_name: 'firstName',
+            id_number: 'idNumber',
+            date_of_birth: 'dateOfBirth'
+        };
+        Object.values(inputsByField).forEach(id => document.getElementById(id).classList.remove('field-mismatch'));
+        (this.extractedData.frontCheck?.mismatches || []).forEach(({ field, front }) => {
+            const input = document.getElementById(inputsByField[field]);
+            if (!input) return;
+            input.classList.add('field-mismatch');
+            input.title = `The front of the ID shows "${front}" - please verify`;
+        });
+    }
+
+    // Review badge for the front/MRZ comparison
+    getFrontCheckStatus() {
+        const check = this.extractedData.frontCheck;
+        if (!check || check.compared.length === 0) {
+            return '<span class="status-badge status-processing">Not checked</span>';
+        }
+        if (check.consistent) {
+            return '<span class="status-badge status-success">Matches MRZ</span>';
+        }
+        const fields = check.mismatches.map(m => m.field.replace(/_/g, ' ')).join(', ');
+        return `<span class="status-badge status-error">Differs from MRZ</span> ${fields}`;
+    }
+
+    // Review badge for the front/back same-card check
+    getSameCardStatus() {
+        const consistency = this.extractedData.cardConsistency;
+        if (!consistency || consistency.consistent === null) {
+            return '<span class="status-badge status-processing">Not checked</span>';
+        }
+        if (consistency.consistent) {
+            return '<span class="status-badge status-success">Same card</span>';
+        }
+        return `<span class="status-badge status-error">Possible mismatch</span> ${consistency.failed.join(', ').replace(/_/g, ' ')}`;
+    }
+
     populateForm() {
         document.getElementById('firstName').value = this.extractedData.first_name || '';
         document.getElementById('lastName').value = this.extractedData.last_name || '';
@@ -2407,6 +3361,9 @@ class IdentityVerificationSystem {
         document.getElementById('dateOfBirth').value = this.extractedData.date_of_birth || '';
         document.getElementById('gender').value = this.extractedData.gender || '';
         document.getElementById('nationality').value = this.extractedData.nationality || '';
+        this.updateNameMatch();
+        this.highlightLowConfidenceFields();
+        this.highlightFrontMismatches();
 
         const previewHTML = `
             <div class="preview-box">
@@ -2424,7 +3381,23 @@ class IdentityVerificationSystem {
             <h3>Extracted Information</h3>
             <div class="result-item">
                 <span class="result-label">Document Type:</span>
-                <span class="result-value">${this.documentType}</span>
+                <span class="result-value">${escapeHTML(this.documentType)}</span>
+            </div>
+            <div class="result-item">
+                <span class="result-label">Nationality:</span>
+                <span class="result-value">${escapeHTML(this.extractedData.nationality_name || this.extractedData.nationality)}</span>
+            </div>
+            <div class="result-item">
+                <span class="result-label">Issuing State:</span>
+                <span class="result-value">${escapeHTML(this.extractedData.issuing_state_name || this.extractedData.issuing_state)}</span>
+            </div>
+            <div class="result-item">
+                <span class="result-label">Front of ID:</span>
+                <span class="result-value">${this.getFrontCheckStatus()}</span>
+            </div>
+            <div class="result-item">
+                <span class="result-label">Front and Back:</span>
+                <span class="result-value">${this.getSameCardStatus()}</span>
             </div>
             <div class="result-item">
                 <span class="result-label">Biometric Match:</span>
@@ -2438,7 +3411,39 @@ class IdentityVerificationSystem {
         document.getElementById('extractedData').innerHTML = dataHTML;
     }
 
+    // Check the full name the applicant types against the MRZ name parts
+    getNameMatch() {
+        const typed = document.getElementById('fullName')?.value.trim();
+        if (!typed || !this.extractedData.primary_identifiers) return null;
+
+        return matchMRZName({
+            primary: this.extractedData.primary_identifiers,
+            secondary: this.extractedData.secondary_identifiers || [],
+            truncated: !!this.extractedData.name_truncated
+        }, typed);
+    }
+
+    updateNameMatch() {
+        const status = document.getElementById('fullNameMatch');
+        if (!status) return;
+
+        const result = this.getNameMatch();
+        if (!result) {
+            status.innerHTML = '';
+        } else if (result.match) {
+            status.innerHTML = `<span class="status-badge status-success">Matches ID</span>${result.truncated ? ' The ID shows a shortened form of this name.' : ''}`;
+        } else {
+            const missing = result.unmatchedMRZParts.length > 0 ? ` Not found: ${result.unmatchedMRZParts.join(', ')}.` : '';
+            status.innerHTML = `<span class="status-badge status-error">Does not match ID</span>${missing}`;
+        }
+    }
+
     async submitRegistration() {
+        if (this.extractedData.policy?.decision === 'reject') {
+            console.warn('Registration blocked: document rejected by policy');
+            return;
+        }
+
         const submitBtn = document.getElementById('submitBtn');
         submitBtn.disabled = true;
         submitBtn.classList.add('loading');
@@ -2453,7 +3458,42 @@ class IdentityVerificationSystem {
                 date_of_birth: document.getElementById('dateOfBirth').value || this.extractedData.date_of_birth,
                 gender: document.getElementById('gender').value || this.extractedData.gender,
                 expiry_date: this.extractedData.expiry_date,
-                nationality: document.getElementById('nationality').value || this.extractedData.nationality
+                nationality: document.getElementById('nationality').value || this.extractedData.nationality,
+                document_code: this.extractedData.document_code,
+                issuing_state: this.extractedData.issuing_state,
+                document_number: this.extractedData.document_number
+            },
+            omang_check: this.extractedData.omang_check,
+            policy: this.extractedData.policy,
+            // Every ICAO field with raw characters and line positions, for back-office routing
+            mrz_fields: this.extractedData.fields,
+            // One entry per check digit: position, expected and printed digit, pass/fail/unreadable
+            checksum_report: this.extractedData.checksumReport,
+            // OCR confidence and image box per MRZ field
+            field_confidence: this.extractedData.field_confidence,
+            // Multi-frame scans: how many frames voted and where they disagreed
+            mrz_consensus: this.extractedData.mrzConsensus,
+            // Barcode on the back: what it held and whether it agreed with the MRZ
+            barcode: this.extractedData.barcode
+                ? { format: this.extractedData.barcode.format, kind: this.extractedData.barcode.kind,
+                    aamva_elements: this.extractedData.barcode.result?.data.elements || null }
+                : null,
+            barcode_check: this.extractedData.barcodeCheck || null,
+            ocr_provider: this.ocrProvider?.name || null,
+            // Printed fields on the front compared with the MRZ
+            front_check: this.extractedData.frontCheck || null,
+            // Whether the front and back came from the same card; also in policy when flagged
+            card_consistency: this.extractedData.cardConsistency || null,
+            // Document type told from the image before OCR
+            document_class: this.documentClass
+                ? { type: this.documentClass.type, confidence: this.documentClass.confidence, reasons: this.documentClass.reasons }
+                : null,
+            name: {
+                primary_identifiers: this.extractedData.primary_identifiers,
+                secondary_identifiers: this.extractedData.secondary_identifiers,
+                possibly_truncated: this.extractedData.name_truncated,
+                applicant_full_name: document.getElementById('fullName').value.trim() || null,
+                full_name_match: this.getNameMatch()
             },
             biometrics: {
                 match_score: this.extractedData.biometrics.match_score,
@@ -2461,6 +3501,10 @@ class IdentityVerificationSystem {
                 verification_status: this.extractedData.biometrics.verification_status
             },
             document_type: this.documentType,
+            // Whether each side was warped flat, and the card corners found in the photo
+            card_evidence: this.cardEvidence,
+            // Uploaded ID images are marked so reviewers know no live camera was used for them
+            capture_sources: { id_back: this.captureSources.back, id_front: this.captureSources.front, selfie: 'camera' },
             timestamp: new Date().toISOString()
         };
 
@@ -2478,11 +3522,11 @@ class IdentityVerificationSystem {
                 <h3>Registration Summary</h3>
                 <div class="result-item">
                     <span class="result-label">Full Name:</span>
-                    <span class="result-value">${registrationData.data.first_name} ${registrationData.data.last_name}</span>
+                    <span class="result-value">${escapeHTML(`${registrationData.data.first_name} ${registrationData.data.last_name}`)}</span>
                 </div>
                 <div class="result-item">
                     <span class="result-label">ID Number:</span>
-                    <span class="result-value">${registrationData.data.id_number}</span>
+                    <span class="result-value">${escapeHTML(registrationData.data.id_number)}</span>
                 </div>
                 <div class="result-item">
                     <span class="result-label">Verification Score:</span>
@@ -2508,12 +3552,85 @@ class IdentityVerificationSystem {
     }
 }
 
+// ==================== Self-hosted Assets ====================
+
+// Init checklist entry each asset belongs to
+const ASSET_CHECKS = {
+    opencv: 'initCheckOpencv',
+    tesseract: 'initCheckTesseract',
+    tesseractWorker: 'initCheckTesseract',
+    tesseractCore: 'initCheckTesseract',
+    traineddata: 'initCheckTesseract',
+    faceApi: 'initCheckFaceapi',
+    faceModels: 'initCheckFaceapi'
+};
+
+// Problems found while loading assets, shown once the app is up
+const assetProblems = [];
+
+function reportAssetProblem(name, error) {
+    const message = error?.message || String(error);
+    console.error(`Asset problem (${name}):`, message);
+    if (assetProblems.includes(message)) return;
+    assetProblems.push(message);
+
+    // Mark the checklist entry as failed while the overlay is up
+    const item = document.getElementById(ASSET_CHECKS[name]);
+    if (item) {
+        item.classList.add('failed');
+        const icon = item.querySelector('i');
+        if (icon) icon.className = 'fa-solid fa-circle-xmark';
+    }
+    if (app?.isInitialized) app.showAssetProblems();
+}
+
+// fetch() for libraries that load their own files; only pinned files are served
+function fetchPinnedAsset(assets, url) {
+    const file = findAssetFile(assets, url);
+    if (!file) return Promise.reject(new Error(`${url} is not listed in assets.json`));
+    return verifyAssetFile(file);
+}
+
+// Add a script or stylesheet tag carrying the asset's integrity hash
+function loadAssetTag(asset) {
+    const [file] = asset.files;
+    if (!file.integrity) {
+        return Promise.reject(new Error(`${file.name} has no integrity hash in assets.json`));
+    }
+    return new Promise((resolve, reject) => {
+        const el = document.createElement(asset.type === 'style' ? 'link' : 'script');
+        if (asset.type === 'style') {
+            el.rel = 'stylesheet';
+            el.href = file.url;
+        } else {
+            el.src = file.url;
+            el.async = true;
+        }
+        el.integrity = file.integrity;
+        el.crossOrigin = 'anonymous';
+        el.onload = () => resolve();
+        // The tag does not say why it failed; ask fetch for the reason
+        el.onerror = () => verifyAssetFile(file).then(
+            () => reject(new Error(`${file.name} could not be loaded: ${file.url}`)),
+            reject
+        );
+        document.head.appendChild(el);
+    });
+}
+
+async function loadAssetManifest(url) {
+    const response = await fetch(url, { cache: 'no-cache' });
+    if (!response.ok) throw new Error(`Asset manifest ${url} could not be loaded (HTTP ${response.status})`);
+    return normalizeAssetManifest(await response.json());
+}
+
 // ==================== Dependency-Gated Initialization ====================
 
 let app;
+let assets = null;
 
 function initApp() {
-    if (app) return; // Already initialized
+    if (app || !assets) return; // Already initialized, or libraries still loading
 
     // Check that critical dependencies are available
     if (!window.Tesseract) {
@@ -2524,11 +3641,57 @@ function initApp() {
     }
 
     console.log('Dependencies ready, initializing app...');
-    app = new IdentityVerificationSystem();
+    app = new IdentityVerificationSystem(assets);
     app.init();
 }
 
-// Listen for OpenCV ready event (dispatched from inline script in HTML)
+// OpenCV's build keeps its own Module object, so a global Module callback is
+// never called; its runtime is ready once cv.Mat exists or cv says so
+function watchOpenCVRuntime() {
+    if (!window.cv) return;
+    const ready = () => {
+        console.log('OpenCV.js runtime initialized');
+        window.__opencvReady = true;
+        window.dispatchEvent(new CustomEvent('opencv-ready'));
+    };
+    if (window.cv.Mat) ready();
+    else window.cv.onRuntimeInitialized = ready;
+}
+
+// Load the libraries from the self-hosted asset folder. OpenCV initializes
+// on its own and fires opencv-ready; the app starts once Tesseract and
+// face-api are in and OpenCV is ready or has had a moment to get there.
+async function loadDependencies() {
+    let manifest;
+    try {
+        manifest = await loadAssetManifest('assets.json');
+    } catch (error) {
+        console.error('Asset manifest error:', error);
+        const status = document.getElementById('initStatus');
+        if (status) status.textContent = error.message;
+        return;
+    }
+
+    const load = name => loadAssetTag(manifest.assets[name]).catch(error => reportAssetProblem(name, error));
+    load('fontAwesome');
+    load('opencv').then(watchOpenCVRuntime);
+    await Promise.all([load('tesseract'), load('faceApi')]);
+    assets = manifest;
+
+    if (window.__opencvReady) {
+        initApp();
+        return;
+    }
+    // Give OpenCV a moment to initialize if it hasn't already
+    setTimeout(() => {
+        if (!app) {
+            console.log('Fallback initialization (OpenCV may not be available)');
+            initApp();
+        }
+    }, 2000);
+}
+
+// Listen for OpenCV ready event (dispatched by watchOpenCVRuntime)
 window.addEventListener('opencv-ready', () => {
     console.log('OpenCV ready event received');
     // Mark OpenCV step done on the overlay even before app is created
@@ -2541,13 +3704,4 @@ window.addEventListener('opencv-ready', () => {
     initApp();
 });
 
-// Fallback: if OpenCV already loaded before this script ran, or if it never loads
-window.addEventListener('load', () => {
-    // Give OpenCV a moment to initialize if it hasn't already
-    setTimeout(() => {
-        if (!app) {
-            console.log('Fallback initialization (OpenCV may not be available)');
-            initApp();
-        }
-    }, 2000);
-});
+loadDependencies();
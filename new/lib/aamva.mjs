@@ -0,0 +1,183 @@
+// AAMVA driver's licence and ID card records, as carried in the PDF417
+// barcode on the back of North American cards. The record is read into the
+// same shape parseMRZ returns, so policy checks, the form and the
+// submission treat a barcode-only card like any other document.
+
+import { calculateMRZAge } from './mrz-dates.mjs';
+import { transliterateToMRZ } from './mrz-names.mjs';
+
+// Data elements used, by AAMVA element ID
+const AAMVA_ELEMENTS = {
+    DAQ: 'customer_id',
+    DCS: 'family_name',
+    DAB: 'family_name',
+    DAC: 'first_name',
+    DCT: 'first_name',
+    DAD: 'middle_names',
+    DAA: 'full_name',
+    DBB: 'birth',
+    DBA: 'expiry',
+    DBD: 'issue',
+    DBC: 'sex',
+    DCG: 'country',
+    DAJ: 'jurisdiction',
+    DCF: 'document_discriminator',
+    DDE: 'family_name_truncation',
+    DDF: 'first_name_truncation'
+};
+
+// AAMVA country codes and the ICAO codes used elsewhere in the app
+const AAMVA_COUNTRIES = { USA: 'USA', CAN: 'CAN', MEX: 'MEX' };
+
+// True when text looks like an AAMVA record (starts with the compliance
+// indicator and ANSI/AAMVA file type, give or take a mangled separator)
+export function isAAMVAData(text) {
+    return /^@?[\s\S]{0,4}(ANSI ?|AAMVA)\d{6}/.test(text || '');
+}
+
+// Header: issuer identification number, AAMVA version and subfile table.
+// Version 1 (AAMVA 2000) has no jurisdiction version field.
+function parseHeader(text) {
+    const match = /(ANSI ?|AAMVA)(\d{6})(\d{2})(\d{2})(\d{2})?/.exec(text);
+    if (!match) return null;
+    const version = parseInt(match[3], 10);
+    const hasJurisdictionVersion = version >= 2;
+    const entries = parseInt(hasJurisdictionVersion ? match[5] : match[4], 10);
+    const tableStart = match.index + match[1].length + 6 + 2 + (hasJurisdictionVersion ? 4 : 2);
+
+    const subfiles = [];
+    for (let i = 0; i < (entries || 0); i++) {
+        const entry = text.substring(tableStart + i * 10, tableStart + i * 10 + 10);
+        if (!/^[A-Z]{2}\d{8}$/.test(entry)) break;
+        subfiles.push({
+            type: entry.substring(0, 2),
+            offset: parseInt(entry.substring(2, 6), 10),
+            length: parseInt(entry.substring(6, 10), 10)
+        });
+    }
+    return { iin: match[2], version, subfiles, tableEnd: tableStart + subfiles.length * 10 };
+}
+
+// Body of a subfile. Offsets in the table are trusted only when they land
+// on the subfile type; scanners often drop or rewrite separator characters.
+function subfileText(text, header, type) {
+    const entry = header.subfiles.find(s => s.type === type);
+    if (entry && text.substr(entry.offset, 2) === type) {
+        return text.substr(entry.offset + 2, entry.length - 2);
+    }
+    const start = text.indexOf(type + 'D', header.tableEnd);
+    if (start === -1) return null;
+    const end = text.indexOf('\r', start);
+    return text.substring(start + 2, end === -1 ? text.length : end);
+}
+
+function parseElements(body) {
+    const elements = {};
+    body.split(/[\n\r\x1e]+/).forEach(token => {
+        const code = token.substring(0, 3);
+        if (/^D[A-Z]{2}$/.test(code) && !(code in elements)) {
+            elements[code] = token.substring(3).trim();
+        }
+    });
+    return elements;
+}
+
+function isRealDate(year, month, day) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+// AAMVA dates are MMDDCCYY in US records and CCYYMMDD in Canadian and
+// version 1 records; the other order is tried when the expected one is no
+// real date. Returned in the resolved-date shape of mrz-dates.mjs.
+export function parseAAMVADate(raw, { country, version } = {}) {
+    const digits = (raw || '').replace(/\D/g, '');
+    const date = {
+        raw: raw || '', year: null, month: null, day: null, partial: false,
+        valid: false, verified: null, plausible: false, iso: null
+    };
+    if (digits.length !== 8) return date;
+
+    const readings = {
+        us: [digits.substring(4, 8), digits.substring(0, 2), digits.substring(2, 4)],
+        iso: [digits.substring(0, 4), digits.substring(4, 6), digits.substring(6, 8)]
+    };
+    const order = country === 'CAN' || version === 1 ? ['iso', 'us'] : ['us', 'iso'];
+    for (const key of order) {
+        const [year, month, day] = readings[key].map(n => parseInt(n, 10));
+        if (isRealDate(year, month, day)) {
+            Object.assign(date, { year, month, day, valid: true, plausible: true });
+            date.iso = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+            break;
+        }
+    }
+    return date;
+}
+
+// A name the way an MRZ would spell it, split into parts
+function mrzNameParts(name) {
+    return (transliterateToMRZ(name || '')[0] || '').split('<').filter(Boolean);
+}
+
+// Parse an AAMVA record. Returns { data, format: 'AAMVA', documentType }
+// or null when the text is not an AAMVA record with a DL or ID subfile.
+export function parseAAMVA(text, today = new Date()) {
+    if (!isAAMVAData(text)) return null;
+    const header = parseHeader(text);
+    if (!header) return null;
+
+    const type = ['DL', 'ID'].find(t => subfileText(text, header, t) !== null);
+    if (!type) return null;
+    const raw = parseElements(subfileText(text, header, type));
+    const values = {};
+    Object.entries(AAMVA_ELEMENTS).forEach(([code, key]) => {
+        if (raw[code] !== undefined && values[key] === undefined) values[key] = raw[code];
+    });
+
+    // Version 1 records may only have the full name, as FAMILY,FIRST,MIDDLE
+    if (!values.family_name && values.full_name) {
+        const [family, first, ...middle] = values.full_name.split(/,|\s+/).filter(Boolean);
+        values.family_name = family;
+        values.first_name = values.first_name || first;
+        values.middle_names = values.middle_names || middle.join(' ');
+    }
+
+    const country = AAMVA_COUNTRIES[values.country] || null;
+    const context = { country, version: header.version };
+    const dates = {
+        birth: parseAAMVADate(values.birth, context),
+        expiry: parseAAMVADate(values.expiry, context),
+        issue: parseAAMVADate(values.issue, context)
+    };
+    const givenNames = [values.first_name, ...(values.middle_names || '').split(',')]
+        .map(n => (n || '').trim()).filter(n => n && n.toUpperCase() !== 'NONE');
+
+    const data = {
+        first_name: givenNames.join(' ').toUpperCase() || 'UNKNOWN',
+        last_name: (values.family_name || '').toUpperCase() || 'UNKNOWN',
+        id_number: values.customer_id || 'UNKNOWN',
+        date_of_birth: dates.birth.iso || 'UNKNOWN',
+        gender: { 1: 'M', 2: 'F' }[values.sex] || 'X',
+        expiry_date: dates.expiry.iso || 'UNKNOWN',
+        issue_date: dates.issue.iso || 'UNKNOWN',
+        // Licences do not state nationality
+        nationality: 'UNKNOWN',
+        document_code: type,
+        issuing_state: country || 'UNKNOWN',
+        jurisdiction: values.jurisdiction || null,
+        document_number: values.customer_id || 'UNKNOWN',
+        document_discriminator: values.document_discriminator || null,
+        issuer_id: header.iin,
+        aamva_version: header.version,
+        dates,
+        age: calculateMRZAge(dates.birth, today),
+        primary_identifiers: mrzNameParts(values.family_name),
+        secondary_identifiers: givenNames.flatMap(mrzNameParts),
+        name_truncated: values.family_name_truncation === 'T' || values.first_name_truncation === 'T',
+        corrections: [],
+        elements: raw
+    };
+
+    const kind = type === 'DL' ? 'Driver License' : 'ID Card';
+    return { data, format: 'AAMVA', documentType: `AAMVA (${values.jurisdiction ? values.jurisdiction + ' ' : ''}${kind})` };
+}
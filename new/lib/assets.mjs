@@ -0,0 +1,91 @@
+// Self-hosted third-party assets. Libraries, models and traineddata are all
+// served from one configurable base URL (see assets.json), and every file
+// carries a subresource integrity hash so a swapped or corrupted file is
+// refused instead of run. Nothing is fetched from a public CDN; an entry's
+// `source` only tells tools/pin-assets.mjs where to download the file.
+
+// Assets the app cannot run without, and the kind of each:
+//   script / style: one file loaded by a <script> or <link> tag
+//   file:           one file fetched by a library (worker script)
+//   directory:      a folder of files fetched by a library, each with its own hash
+export const REQUIRED_ASSETS = {
+    fontAwesome: 'style',
+    opencv: 'script',
+    tesseract: 'script',
+    tesseractWorker: 'file',
+    tesseractCore: 'directory',
+    traineddata: 'directory',
+    faceApi: 'script',
+    faceModels: 'directory'
+};
+
+// Join a base URL and a relative path with exactly one slash between them
+function joinUrl(base, path) {
+    if (!base) return path;
+    return base.replace(/\/+$/, '') + '/' + path.replace(/^\/+/, '');
+}
+
+// Validate an assets.json manifest and resolve every URL against its base.
+// Throws when a required asset is not described at all; missing hashes are
+// kept (integrity null) and reported when the asset is loaded.
+export function normalizeAssetManifest(config) {
+    const baseUrl = config?.baseUrl ?? '';
+    const entries = config?.assets || {};
+    const undescribed = Object.keys(REQUIRED_ASSETS).filter(name => !entries[name]?.path);
+    if (undescribed.length > 0) {
+        throw new Error(`Asset manifest does not describe: ${undescribed.join(', ')}`);
+    }
+
+    const assets = {};
+    Object.entries(entries).forEach(([name, entry]) => {
+        const type = entry.type || REQUIRED_ASSETS[name] || 'file';
+        const url = joinUrl(baseUrl, entry.path);
+        const files = type === 'directory'
+            ? Object.entries(entry.files || {}).map(([file, integrity]) => ({
+                name: `${name}/${file}`, url: joinUrl(url, file), integrity: integrity || null
+            }))
+            : [{ name, url, integrity: entry.integrity || null }];
+        assets[name] = { name, type, url, files };
+    });
+    return { baseUrl, assets };
+}
+
+// URL of an asset, or of one file inside a directory asset
+export function assetUrl(manifest, name, file) {
+    const asset = manifest.assets[name];
+    if (!asset) throw new Error(`Unknown asset "${name}"`);
+    return file ? joinUrl(asset.url, file) : asset.url;
+}
+
+// The pinned file behind a URL, for libraries that fetch files themselves.
+// Matches on the resolved path so absolute and relative forms agree.
+export function findAssetFile(manifest, url) {
+    const path = url.split(/[?#]/)[0];
+    for (const asset of Object.values(manifest.assets)) {
+        const file = asset.files.find(f => f.url === path || path.endsWith('/' + f.url.replace(/^(\.?\/)+/, '')));
+        if (file) return file;
+    }
+    return null;
+}
+
+// True when a directory asset pins the given file
+export function hasAssetFile(manifest, name, file) {
+    return Boolean(manifest.assets[name]?.files.some(f => f.name === `${name}/${file}`));
+}
+
+// Fetch a pinned file with its integrity hash. On failure the error says
+// whether the file is unpinned, missing or altered.
+export async function verifyAssetFile(file) {
+    if (!file.integrity) {
+        throw new Error(`${file.name} has no integrity hash in assets.json`);
+    }
+    try {
+        return await fetch(file.url, { integrity: file.integrity });
+    } catch (error) {
+        const status = await fetch(file.url, { method: 'HEAD', cache: 'no-store' })
+            .then(response => response.ok ? null : `HTTP ${response.status}`)
+            .catch(() => 'unreachable');
+        if (status) throw new Error(`${file.name} is missing (${status}): ${file.url}`);
+        throw new Error(`${file.name} failed its integrity check: ${file.url}`);
+    }
+}
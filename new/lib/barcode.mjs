@@ -0,0 +1,72 @@
+// Barcodes on the back of documents. A PDF417 or QR code may hold an AAMVA
+// record, an MRZ written out as text, or something this app cannot read.
+// Decoded data is cross-checked against the MRZ when a card has both, since
+// a mismatch between the two is a classic sign of an altered document.
+
+import { parseMRZ } from './mrz.mjs';
+import { isAAMVAData, parseAAMVA } from './aamva.mjs';
+
+// Make sense of one decoded barcode { format, text }. `result` has the
+// shape of a parseMRZ result (data, format, documentType) or is null when
+// the content is not a known record.
+export function interpretBarcode(barcode, today = new Date()) {
+    const text = barcode?.text || '';
+    if (isAAMVAData(text)) {
+        const result = parseAAMVA(text, today);
+        if (result) return { ...barcode, kind: 'aamva', result };
+    }
+    // Some national IDs put the MRZ lines in a QR code
+    const mrz = /^[A-Z0-9<\s]{60,}$/.test(text.trim()) ? parseMRZ(text) : null;
+    if (mrz) return { ...barcode, kind: 'mrz', result: mrz };
+    return { ...barcode, kind: 'unknown', result: null };
+}
+
+function normalizeId(value) {
+    return (value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function known(value) {
+    return Boolean(value) && value !== 'UNKNOWN';
+}
+
+// Names agree when every MRZ name part appears in the barcode name. The MRZ
+// may cut a long name short, so its last part only has to be a prefix.
+function namesAgree(mrzParts, barcodeParts, truncated) {
+    if (!mrzParts?.length || !barcodeParts?.length) return null;
+    return mrzParts.every((part, i) => barcodeParts.some(b =>
+        b === part || (truncated && i === mrzParts.length - 1 && b.startsWith(part))));
+}
+
+// Compare the fields an MRZ and a barcode both carry. A field is only
+// compared when both sides read it; `consistent` is false on any mismatch.
+export function crossCheckDocumentData(mrzData, barcodeData) {
+    const compared = [];
+    const mismatches = [];
+    const compare = (field, mrzValue, barcodeValue, agree) => {
+        if (agree === null) return;
+        compared.push(field);
+        if (!agree) mismatches.push({ field, mrz: mrzValue, barcode: barcodeValue });
+    };
+
+    // The MRZ's cleaned ID number or its raw document number may be the one printed in the barcode
+    if (known(mrzData.id_number) && known(barcodeData.id_number)) {
+        const mrzIds = [mrzData.id_number, mrzData.document_number].filter(known).map(normalizeId);
+        const barcodeIds = [barcodeData.id_number, barcodeData.document_number].filter(known).map(normalizeId);
+        compare('id_number', mrzData.id_number, barcodeData.id_number, mrzIds.some(id => barcodeIds.includes(id)));
+    }
+    ['date_of_birth', 'expiry_date'].forEach(field => {
+        if (known(mrzData[field]) && known(barcodeData[field])) {
+            compare(field, mrzData[field], barcodeData[field], mrzData[field] === barcodeData[field]);
+        }
+    });
+    if (['M', 'F'].includes(mrzData.gender) && ['M', 'F'].includes(barcodeData.gender)) {
+        compare('gender', mrzData.gender, barcodeData.gender, mrzData.gender === barcodeData.gender);
+    }
+    const truncated = Boolean(mrzData.name_truncated);
+    compare('last_name', mrzData.last_name, barcodeData.last_name,
+        namesAgree(mrzData.primary_identifiers, barcodeData.primary_identifiers, truncated));
+    compare('first_name', mrzData.first_name, barcodeData.first_name,
+        namesAgree(mrzData.secondary_identifiers, barcodeData.secondary_identifiers, truncated));
+
+    return { consistent: mismatches.length === 0, compared, mismatches };
+}
@@ -0,0 +1,121 @@
+// Live capture quality checks. Each camera frame is measured for sharpness
+// (variance of the Laplacian), specular glare over the area that matters
+// (the MRZ band or the portrait) and overall exposure, so the applicant is
+// told what to fix before capturing instead of after OCR or face detection
+// fails. Works on RGBA pixel data, e.g. from getImageData().
+
+export const DEFAULT_QUALITY_THRESHOLDS = {
+    // Laplacian variance of the region; below this the frame is blurry
+    minSharpness: 60,
+    // Mean brightness (0-255) limits for the whole frame
+    minBrightness: 60,
+    maxBrightness: 200,
+    // Share of the frame allowed to be crushed black or blown out white
+    maxDarkShare: 0.4,
+    maxBrightShare: 0.25,
+    // Share of the region allowed to be saturated specular highlight
+    maxGlareShare: 0.01
+};
+
+// Where to look for glare and blur, as fractions of the frame, when the
+// area itself cannot be located in it
+export const QUALITY_REGIONS = {
+    // The MRZ band sits at the bottom of the card
+    mrz: { x: 0.05, y: 0.6, width: 0.9, height: 0.35, label: 'the MRZ' },
+    // The portrait sits on the left of most ID-1 fronts
+    portrait: { x: 0.05, y: 0.15, width: 0.45, height: 0.75, label: 'the photo' }
+};
+
+const DARK_LEVEL = 30;
+const BRIGHT_LEVEL = 245;
+const GLARE_LEVEL = 250;
+
+// Luma of every pixel as a Float32Array
+function toGray(data, width, height) {
+    const gray = new Float32Array(width * height);
+    for (let i = 0, p = 0; p < gray.length; i += 4, p++) {
+        gray[p] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    }
+    return gray;
+}
+
+// The region around an area found in the frame (its corner points in
+// pixels, e.g. the located MRZ band), as fractions of the frame
+export function regionFromPoints(points, width, height, label) {
+    const xs = points.map(p => Math.min(width, Math.max(0, p.x)));
+    const ys = points.map(p => Math.min(height, Math.max(0, p.y)));
+    const x = Math.min(...xs) / width;
+    const y = Math.min(...ys) / height;
+    return { x, y, width: Math.max(...xs) / width - x, height: Math.max(...ys) / height - y, label };
+}
+
+function regionBounds(region, width, height) {
+    const x0 = Math.max(1, Math.floor(region.x * width));
+    const y0 = Math.max(1, Math.floor(region.y * height));
+    const x1 = Math.min(width - 1, Math.ceil((region.x + region.width) * width));
+    const y1 = Math.min(height - 1, Math.ceil((region.y + region.height) * height));
+    return { x0, y0, x1, y1 };
+}
+
+// Measure one frame. `region` is an entry of QUALITY_REGIONS (or any
+// { x, y, width, height } in fractions); sharpness and glare are measured
+// inside it, exposure over the whole frame.
+export function measureFrameQuality({ data, width, height }, region = QUALITY_REGIONS.mrz) {
+    const gray = toGray(data, width, height);
+
+    let sum = 0;
+    let dark = 0;
+    let bright = 0;
+    for (let p = 0; p < gray.length; p++) {
+        sum += gray[p];
+        if (gray[p] < DARK_LEVEL) dark++;
+        else if (gray[p] > BRIGHT_LEVEL) bright++;
+    }
+
+    // 4-neighbour Laplacian over the region, and saturated pixels in it
+    const { x0, y0, x1, y1 } = regionBounds(region, width, height);
+    let count = 0;
+    let lapSum = 0;
+    let lapSquares = 0;
+    let glare = 0;
+    for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+            const p = y * width + x;
+            const lap = gray[p - 1] + gray[p + 1] + gray[p - width] + gray[p + width] - 4 * gray[p];
+            lapSum += lap;
+            lapSquares += lap * lap;
+            if (gray[p] >= GLARE_LEVEL) glare++;
+            count++;
+        }
+    }
+    const lapMean = count > 0 ? lapSum / count : 0;
+
+    return {
+        sharpness: count > 0 ? Math.round(lapSquares / count - lapMean * lapMean) : 0,
+        brightness: Math.round(sum / gray.length),
+        darkShare: dark / gray.length,
+        brightShare: bright / gray.length,
+        glareShare: count > 0 ? glare / count : 0
+    };
+}
+
+// Turn measurements into a verdict with guidance, most pressing first.
+// Exposure comes before glare and blur since it skews both.
+export function evaluateFrameQuality(metrics, thresholds = DEFAULT_QUALITY_THRESHOLDS, region = QUALITY_REGIONS.mrz) {
+    const limits = { ...DEFAULT_QUALITY_THRESHOLDS, ...(thresholds || {}) };
+    const issues = [];
+
+    if (metrics.brightness < limits.minBrightness || metrics.darkShare > limits.maxDarkShare) {
+        issues.push({ check: 'underexposed', message: 'Too dark - move to better light' });
+    } else if (metrics.brightness > limits.maxBrightness || metrics.brightShare > limits.maxBrightShare) {
+        issues.push({ check: 'overexposed', message: 'Too bright - move out of direct light' });
+    }
+    if (metrics.glareShare > limits.maxGlareShare) {
+        issues.push({ check: 'glare', message: `Glare on ${region.label || 'the card'} - tilt the card slightly` });
+    }
+    if (metrics.sharpness < limits.minSharpness) {
+        issues.push({ check: 'blur', message: 'Image is blurry - hold the card steady' });
+    }
+
+    return { ok: issues.length === 0, issues, metrics };
+}
@@ -0,0 +1,145 @@
+// Same-card check for the two document captures. The back (phase 1) and the
+// front (phase 2) are taken separately, so a genuine back can be paired
+// with someone else's front. Both sides of one card share its outline and
+// proportions, the colours of its background print, and the document
+// number and date of birth that the front repeats from the MRZ.
+
+export const CARD_CONSISTENCY_THRESHOLDS = {
+    // Largest difference between the width/height ratios of the two outlines;
+    // loose since a card photographed at an angle looks squarer or longer
+    maxAspectDifference: 0.12,
+    // Smallest overlap (0-1) of the two background colour histograms
+    minColorOverlap: 0.45,
+    // Largest difference in background brightness (0-255) and saturation (0-1)
+    maxBrightnessDifference: 50,
+    maxSaturationDifference: 0.2
+};
+
+const HUE_BINS = 12;
+// Pixels below this saturation count as grey and share one extra bin
+const GREY_SATURATION = 0.12;
+// Text and dark print, and specular glare, are left out of the background
+const DARK_LUMA = 90;
+const GLARE_LUMA = 245;
+
+// Width over height of a card outline (corners top-left, top-right,
+// bottom-right, bottom-left), from the mean lengths of opposite edges
+export function quadAspect(corners) {
+    if (!corners || corners.length !== 4) return null;
+    const edge = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+    const width = (edge(corners[0], corners[1]) + edge(corners[3], corners[2])) / 2;
+    const height = (edge(corners[0], corners[3]) + edge(corners[1], corners[2])) / 2;
+    return height > 0 ? Math.round((width / height) * 1000) / 1000 : null;
+}
+
+// Colour profile of a card side's background print from RGBA pixels, e.g.
+// from getImageData(). `region` limits it to part of the image, as
+// fractions ({ x, y, width, height }). Returns { hue, brightness,
+// saturation, samples }, where `hue` is a normalized histogram of
+// HUE_BINS hues plus a last bin for grey.
+export function measureColorProfile({ data, width, height }, region = { x: 0, y: 0, width: 1, height: 1 }) {
+    const hue = new Array(HUE_BINS + 1).fill(0);
+    let brightness = 0;
+    let saturation = 0;
+    let samples = 0;
+
+    const x0 = Math.floor(region.x * width);
+    const y0 = Math.floor(region.y * height);
+    const x1 = Math.min(width, Math.ceil((region.x + region.width) * width));
+    const y1 = Math.min(height, Math.ceil((region.y + region.height) * height));
+    for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+            const i = (y * width + x) * 4;
+            const r = data[i] / 255;
+            const g = data[i + 1] / 255;
+            const b = data[i + 2] / 255;
+            const luma = 255 * (0.299 * r + 0.587 * g + 0.114 * b);
+            if (luma < DARK_LUMA || luma > GLARE_LUMA) continue;
+
+            const max = Math.max(r, g, b);
+            const min = Math.min(r, g, b);
+            const s = max === 0 ? 0 : (max - min) / max;
+            if (s < GREY_SATURATION) {
+                hue[HUE_BINS]++;
+            } else {
+                let h;
+                if (max === r) h = ((g - b) / (max - min) + 6) % 6;
+                else if (max === g) h = (b - r) / (max - min) + 2;
+                else h = (r - g) / (max - min) + 4;
+                // Shared between the two nearest bins, so shades either side
+                // of a bin edge still overlap
+                const position = (h / 6) * HUE_BINS - 0.5;
+                const lower = Math.floor(position);
+                const share = position - lower;
+                hue[(lower + HUE_BINS) % HUE_BINS] += 1 - share;
+                hue[(lower + 1) % HUE_BINS] += share;
+            }
+            brightness += luma;
+            saturation += s;
+            samples++;
+        }
+    }
+
+    const round = value => Math.round(value * 1000) / 1000;
+    return {
+        hue: hue.map(count => round(samples > 0 ? count / samples : 0)),
+        brightness: samples > 0 ? Math.round(brightness / samples) : null,
+        saturation: samples > 0 ? round(saturation / samples) : null,
+        samples
+    };
+}
+
+// Share of two normalized histograms that overlaps (1 for identical)
+function histogramOverlap(a, b) {
+    return a.reduce((sum, value, i) => sum + Math.min(value, b[i] || 0), 0);
+}
+
+// Compare the two sides. `back` and `front` are card evidence entries
+// ({ rectified, format, aspect, color }) and `frontCheck` the result of
+// compareFrontWithMRZ, when the front's printed fields were read. Each
+// check passes, fails or is skipped when a side lacks what it needs;
+// `consistent` is null when every check was skipped.
+export function compareCardSides(back, front, frontCheck, thresholds = CARD_CONSISTENCY_THRESHOLDS) {
+    const limits = { ...CARD_CONSISTENCY_THRESHOLDS, ...(thresholds || {}) };
+    const checks = [];
+    const add = (check, result, detail) => checks.push({ check, result, detail });
+
+    // Outline: the same card format, and about the same proportions
+    if (back?.rectified && front?.rectified) {
+        add('format', back.format === front.format ? 'pass' : 'fail', `back ${back.format}, front ${front.format}`);
+        const difference = Math.abs(back.aspect - front.aspect);
+        add('aspect', difference <= limits.maxAspectDifference ? 'pass' : 'fail',
+            `back ${back.aspect}, front ${front.aspect}`);
+    } else {
+        add('format', 'skipped', 'card outline not found on both sides');
+        add('aspect', 'skipped', 'card outline not found on both sides');
+    }
+
+    // Background print colours
+    if (back?.color?.samples > 0 && front?.color?.samples > 0) {
+        const overlap = Math.round(histogramOverlap(back.color.hue, front.color.hue) * 100) / 100;
+        const brightness = Math.abs(back.color.brightness - front.color.brightness);
+        const saturation = Math.abs(back.color.saturation - front.color.saturation);
+        const agree = overlap >= limits.minColorOverlap &&
+            brightness <= limits.maxBrightnessDifference &&
+            saturation <= limits.maxSaturationDifference;
+        add('color', agree ? 'pass' : 'fail',
+            `colour overlap ${overlap}, brightness difference ${brightness}, saturation difference ${Math.round(saturation * 100) / 100}`);
+    } else {
+        add('color', 'skipped', 'no background colour measured');
+    }
+
+    // Printed identity fields the front repeats from the MRZ
+    [['id_number', 'document_number'], ['date_of_birth', 'date_of_birth']].forEach(([field, check]) => {
+        if (!frontCheck?.compared.includes(field)) {
+            add(check, 'skipped', 'not read on the front');
+            return;
+        }
+        const mismatch = frontCheck.mismatches.find(m => m.field === field);
+        add(check, mismatch ? 'fail' : 'pass', mismatch ? `MRZ ${mismatch.mrz}, front ${mismatch.front}` : 'matches the MRZ');
+    });
+
+    const failed = checks.filter(c => c.result === 'fail').map(c => c.check);
+    const ran = checks.some(c => c.result !== 'skipped');
+    return { consistent: ran ? failed.length === 0 : null, failed, checks };
+}
@@ -0,0 +1,200 @@
+// Document classification from the captured image, before any OCR. The card
+// outline's proportions and the number and length of MRZ lines tell an ID-1
+// card, an ID-2 card and a passport data page apart, so the app can pick its
+// guidance, the MRZ crop and the parser order up front, and turn away
+// something that is no identity document at all.
+
+// ICAO 9303 sizes, and the MRZ layouts each size carries: line count,
+// characters per line, parseMRZ format keys in the order to try them, and
+// where the MRZ usually begins as a fraction of the card height.
+export const DOCUMENT_CLASSES = {
+    'ID-1': {
+        label: 'ID card (ID-1)',
+        aspect: 85.6 / 53.98,
+        mrz: [
+            { lines: 3, chars: 30, formats: ['TD1'], cropStart: 0.55 },
+            { lines: 2, chars: 36, formats: ['FRA-CNI', 'TD2'], cropStart: 0.65 }
+        ]
+    },
+    'ID-2': {
+        label: 'ID card (ID-2)',
+        aspect: 105 / 74,
+        mrz: [{ lines: 2, chars: 36, formats: ['TD2', 'MRV-B'], cropStart: 0.65 }]
+    },
+    passport: {
+        label: 'passport data page',
+        aspect: 125 / 88,
+        mrz: [{ lines: 2, chars: 44, formats: ['TD3', 'MRV-A'], cropStart: 0.7 }]
+    }
+};
+
+// How far an outline's width/height ratio may be from a class's
+const ASPECT_TOLERANCE = 0.1;
+// Character pitch over character height for OCR-B in an MRZ (2.54 mm / 2.42 mm)
+const MRZ_PITCH_RATIO = 1.05;
+
+// Otsu threshold of a grey histogram
+function otsuThreshold(histogram, total) {
+    let sum = 0;
+    for (let i = 0; i < 256; i++) sum += i * histogram[i];
+    let sumBackground = 0;
+    let weightBackground = 0;
+    let best = { threshold: 128, variance: -1 };
+    for (let t = 0; t < 256; t++) {
+        weightBackground += histogram[t];
+        if (weightBackground === 0) continue;
+        const weightForeground = total - weightBackground;
+        if (weightForeground === 0) break;
+        sumBackground += t * histogram[t];
+        const meanBackground = sumBackground / weightBackground;
+        const meanForeground = (sum - sumBackground) / weightForeground;
+        const variance = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+        if (variance > best.variance) best = { threshold: t, variance };
+    }
+    return best.threshold;
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+// Count the text lines in an image of the MRZ band (RGBA pixels, e.g. from
+// getImageData) from the rows that hold dark print, and estimate how many
+// characters a line holds from its width and the character height.
+// Returns { lines, lineHeight, charsPerLine }; lines is 0 when no text is seen.
+export function measureMRZLines({ data, width, height }) {
+    const gray = new Uint8Array(width * height);
+    const histogram = new Array(256).fill(0);
+    for (let i = 0, p = 0; p < gray.length; i += 4, p++) {
+        gray[p] = Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
+        histogram[gray[p]]++;
+    }
+    const threshold = otsuThreshold(histogram, gray.length);
+
+    // Rows dense with dark print are text; runs of them are lines
+    const rowShare = [];
+    for (let y = 0; y < height; y++) {
+        let dark = 0;
+        for (let x = 0; x < width; x++) if (gray[y * width + x] <= threshold) dark++;
+        rowShare.push(dark / width);
+    }
+    let runs = [];
+    let start = -1;
+    for (let y = 0; y <= height; y++) {
+        const text = y < height && rowShare[y] > 0.15;
+        if (text && start === -1) start = y;
+        if (!text && start !== -1) {
+            runs.push({ start, end: y });
+            start = -1;
+        }
+    }
+    // Drop specks and rules much thinner than a line of characters
+    const tallest = Math.max(0, ...runs.map(r => r.end - r.start));
+    runs = runs.filter(r => r.end - r.start >= Math.max(2, tallest * 0.4));
+    if (runs.length === 0) return { lines: 0, lineHeight: null, charsPerLine: null };
+
+    // Width of the print across the text rows
+    const columnDark = new Array(width).fill(0);
+    runs.forEach(({ start: y0, end: y1 }) => {
+        for (let y = y0; y < y1; y++) {
+            for (let x = 0; x < width; x++) if (gray[y * width + x] <= threshold) columnDark[x]++;
+        }
+    });
+    const rows = runs.reduce((sum, r) => sum + r.end - r.start, 0);
+    const printed = columnDark.map((count, x) => (count > rows * 0.05 ? x : -1)).filter(x => x !== -1);
+    const lineHeight = median(runs.map(r => r.end - r.start));
+    const textWidth = printed.length > 0 ? printed[printed.length - 1] - printed[0] + 1 : 0;
+
+    return {
+        lines: runs.length,
+        lineHeight,
+        charsPerLine: lineHeight > 0 ? Math.round(textWidth / (lineHeight * MRZ_PITCH_RATIO)) : null
+    };
+}
+
+// The class whose proportions an outline has, or 'other' when none fits
+function shapeOf(aspect) {
+    const fits = Object.entries(DOCUMENT_CLASSES)
+        .map(([type, spec]) => ({ type, difference: Math.abs(aspect - spec.aspect) }))
+        .filter(c => c.difference <= ASPECT_TOLERANCE)
+        .sort((a, b) => a.difference - b.difference);
+    if (fits.length === 0) return 'other';
+    // ID-2 cards and passport pages share their proportions
+    return fits[0].type === 'ID-1' ? 'ID-1' : 'ID-2/passport';
+}
+
+// The MRZ layout of a class closest to what was measured
+function closestMRZ(type, mrz) {
+    const layouts = DOCUMENT_CLASSES[type].mrz;
+    const sameLines = layouts.filter(l => l.lines === mrz.lines);
+    const candidates = sameLines.length > 0 ? sameLines : layouts;
+    return candidates.reduce((best, l) =>
+        (mrz.charsPerLine !== null && Math.abs(l.chars - mrz.charsPerLine) < Math.abs(best.chars - mrz.charsPerLine) ? l : best));
+}
+
+// Decide the document class from what the frame shows:
+//   cardAspect: width/height of the card outline, or null when none was found
+//   mrz: measureMRZLines() of the located MRZ band, or null when none was found
+// Returns { type, label, confidence, mrzLines, mrzFormats, mrzCropStart, reasons }.
+// `type` is 'ID-1', 'ID-2', 'passport', 'unsupported', or null when the
+// frame does not say enough; confidence is 'high', 'medium' or 'low', and
+// mrzLines the number of MRZ lines seen.
+export function classifyDocument({ cardAspect = null, mrz = null } = {}) {
+    const reasons = [];
+    const shape = cardAspect ? shapeOf(cardAspect) : null;
+    if (shape) reasons.push(`outline ${cardAspect.toFixed(2)}:1 (${shape === 'other' ? 'no ICAO size' : shape})`);
+    const lines = mrz?.lines || 0;
+    if (mrz) reasons.push(`${lines} MRZ line(s)${mrz.charsPerLine ? ` of about ${mrz.charsPerLine} characters` : ''}`);
+
+    let type = null;
+    let agrees = false;
+    if (lines === 3) {
+        type = 'ID-1';
+        agrees = shape === 'ID-1';
+    } else if (lines === 2) {
+        if (mrz.charsPerLine >= 40) {
+            type = 'passport';
+            agrees = shape === 'ID-2/passport';
+        } else if (mrz.charsPerLine !== null) {
+            type = shape === 'ID-1' ? 'ID-1' : 'ID-2';
+            agrees = shape !== null && shape !== 'other';
+        } else {
+            // Line length unknown: the outline decides, passports being the common two-line document
+            type = shape === 'ID-1' ? 'ID-1' : 'passport';
+            agrees = shape === 'ID-1' || shape === 'ID-2/passport';
+        }
+    } else if (shape === 'ID-1') {
+        // Cards whose back carries a barcode instead of an MRZ
+        type = 'ID-1';
+    } else if (shape === 'other') {
+        type = 'unsupported';
+    }
+
+    if (!type) {
+        return { type: null, label: null, confidence: 'low', mrzLines: lines, mrzFormats: [], mrzCropStart: null, reasons };
+    }
+    if (type === 'unsupported') {
+        return {
+            type, label: 'unsupported document', confidence: lines === 0 ? 'medium' : 'low',
+            mrzLines: lines, mrzFormats: [], mrzCropStart: null, reasons
+        };
+    }
+
+    // Outline and MRZ agreeing is high confidence, one of them alone medium,
+    // and the two disagreeing low
+    let confidence = 'medium';
+    if (agrees) confidence = 'high';
+    else if (lines > 0 && shape) confidence = 'low';
+
+    const layout = lines > 0 ? closestMRZ(type, mrz) : DOCUMENT_CLASSES[type].mrz[0];
+    return {
+        type,
+        label: DOCUMENT_CLASSES[type].label,
+        confidence,
+        mrzLines: lines,
+        mrzFormats: layout.formats,
+        mrzCropStart: layout.cropStart,
+        reasons
+    };
+}
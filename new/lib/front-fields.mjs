@@ -0,0 +1,218 @@
+// Front-of-document visual inspection zone (VIZ): the printed name, date of
+// birth and document number, read from OCR text with a template per
+// document and compared with the MRZ read in phase 1. A front that
+// disagrees with the MRZ may belong to another card or have been altered.
+
+import { transliterateToMRZ } from './mrz-names.mjs';
+
+// Where the printed fields sit (fractions of the flattened card or page)
+// and the labels printed next to them. Labels are matched as whole words
+// after upper-casing and stripping diacritics and punctuation.
+export const FRONT_TEMPLATES = {
+    omang: {
+        label: 'Omang',
+        // Text block to the right of the portrait
+        region: { x: 0.3, y: 0.1, width: 0.7, height: 0.85 },
+        fields: {
+            last_name: { type: 'name', labels: ['SURNAME'] },
+            first_name: { type: 'name', labels: ['FORENAMES', 'FORENAME', 'NAMES'] },
+            date_of_birth: { type: 'date', labels: ['DATE OF BIRTH'] },
+            // Nine digits with the sex digit (1 or 2) fifth, so it can be
+            // found anywhere in the text when its label is misread
+            id_number: { type: 'id', labels: ['ID NUMBER', 'ID NO', 'OMANG NO'], pattern: /\d{4}[12]\d{4}/, anywhere: true }
+        }
+    },
+    passport: {
+        label: 'passport data page',
+        // Between the portrait and the MRZ
+        region: { x: 0.28, y: 0.05, width: 0.72, height: 0.7 },
+        fields: {
+            last_name: { type: 'name', labels: ['SURNAME', 'NOM'] },
+            first_name: { type: 'name', labels: ['GIVEN NAMES', 'GIVEN NAME', 'PRENOMS'] },
+            date_of_birth: { type: 'date', labels: ['DATE OF BIRTH', 'DATE DE NAISSANCE'] },
+            expiry_date: { type: 'date', labels: ['DATE OF EXPIRY', 'DATE D EXPIRATION'] },
+            id_number: { type: 'id', labels: ['PASSPORT NO', 'PASSPORT NUMBER', 'NO DU PASSEPORT'], pattern: /[A-Z0-9]{6,9}/ }
+        }
+    }
+};
+
+// Month names printed on data pages, English and French, by first letters
+const MONTHS = {
+    JAN: 1, FEB: 2, FEV: 2, MAR: 3, APR: 4, AVR: 4, MAY: 5, MAI: 5, JUN: 6, JUIN: 6,
+    JUL: 7, JUIL: 7, AUG: 8, AOU: 8, SEP: 9, OCT: 10, NOV: 11, DEC: 12
+};
+
+// Characters OCR swaps in printed numbers, folded before numbers are compared
+const LOOKALIKES = { O: '0', Q: '0', D: '0', I: '1', L: '1', Z: '2', S: '5', B: '8' };
+
+function plain(text) {
+    return (text || '').toUpperCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+function known(value) {
+    return Boolean(value) && value !== 'UNKNOWN';
+}
+
+// The template for a document read in phase 1, or null when there is none.
+// `mrzData` is the parsed MRZ data and `format` its parseMRZ format key.
+export function selectFrontTemplate(mrzData, format) {
+    if (mrzData?.omang_check?.applicable) return 'omang';
+    if (format === 'TD3') return 'passport';
+    return null;
+}
+
+// A printed date: 12/08/1974, 12.08.74, 12 AUG 1974 or 12 AUG/AOUT 74.
+// Returns { raw, year, month, day, fullYear } or null. Two-digit years are
+// kept as printed (fullYear false) and compared on their last two digits.
+export function parseFrontDate(text) {
+    const value = plain(text);
+    let match = /(\d{1,2})\s*[./-]\s*(\d{1,2})\s*[./-]\s*(\d{4}|\d{2})/.exec(value);
+    let day, month, year;
+    if (match) {
+        [day, month, year] = [match[1], match[2], match[3]];
+    } else {
+        match = /(\d{1,2})\s*([A-Z]{3,4})[A-Z]*(?:\s*\/\s*[A-Z]+)?\s*(\d{4}|\d{2})/.exec(value);
+        if (!match) return null;
+        day = match[1];
+        month = MONTHS[match[2]] ?? MONTHS[match[2].substring(0, 3)];
+        year = match[3];
+    }
+    const result = {
+        raw: match[0], year: parseInt(year, 10), month: parseInt(month, 10), day: parseInt(day, 10),
+        fullYear: String(year).length === 4
+    };
+    if (!(result.month >= 1 && result.month <= 12 && result.day >= 1 && result.day <= 31)) return null;
+    return result;
+}
+
+function readValue(field, text) {
+    if (field.type === 'date') return parseFrontDate(text);
+    if (field.type === 'id') {
+        // Numbers are sometimes printed in spaced groups
+        const whole = new RegExp(`^(?:${field.pattern.source})$`);
+        const tokens = [...plain(text).split(/[^A-Z0-9]+/), ...plain(text).split(/[^A-Z0-9 ]+/).map(t => t.replace(/ /g, ''))];
+        return tokens.find(token => whole.test(token) && /\d/.test(token)) || null;
+    }
+    const name = plain(text).replace(/[^A-Z' -]/g, ' ').replace(/\s+/g, ' ').trim();
+    return name.replace(/[^A-Z]/g, '').length >= 2 ? name : null;
+}
+
+// A label's words with any punctuation or spacing between them
+function labelPattern(label) {
+    return label.split(' ').join('[^A-Z0-9]+');
+}
+
+// Where a label ends on a line, or -1 when the line does not carry it
+function labelEnd(line, labels) {
+    for (const label of labels) {
+        const match = new RegExp(`(^|[^A-Z0-9])${labelPattern(label)}(?=[^A-Z0-9]|$)`).exec(plain(line));
+        if (match) return match.index + match[0].length;
+    }
+    return -1;
+}
+
+// Read the template's fields from OCR text of its region. The value is what
+// follows the label on its line (past any translation of the label), or
+// the next line when the label stands alone, as ICAO pages print labels
+// above values. Returns { template, fields: { name: value or null } }.
+export function readFrontFields(text, templateKey) {
+    const template = FRONT_TEMPLATES[templateKey];
+    const lines = (text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    const allLabels = Object.values(template.fields).flatMap(field => field.labels);
+    const leadingLabel = new RegExp(`^[^A-Z0-9]*(${allLabels.map(labelPattern).join('|')})(?=[^A-Z0-9]|$)`);
+
+    const fields = {};
+    Object.entries(template.fields).forEach(([name, field]) => {
+        let value = null;
+        const index = lines.findIndex(line => labelEnd(line, field.labels) !== -1);
+        if (index !== -1) {
+            let rest = plain(lines[index]).substring(labelEnd(lines[index], field.labels));
+            while (leadingLabel.test(rest)) rest = rest.replace(leadingLabel, '');
+            value = readValue(field, rest.replace(/^[^A-Z0-9']+/, ''));
+            const next = lines[index + 1];
+            if (!value && next && labelEnd(next, allLabels) === -1) value = readValue(field, next);
+        }
+        if (!value && field.anywhere) value = readValue(field, lines.join(' '));
+        fields[name] = value;
+    });
+    return { template: templateKey, fields };
+}
+
+function foldName(part) {
+    return part.replace(/AE/g, 'A').replace(/OE/g, 'O').replace(/UE/g, 'U').replace(/AA/g, 'A');
+}
+
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// A printed name agrees with MRZ name parts when one of its MRZ spellings
+// has the same parts. A truncated MRZ only needs to be a prefix, and one
+// OCR slip per eight letters is let through.
+function nameAgrees(mrzParts, printed, truncated) {
+    if (!mrzParts?.length || !printed) return null;
+    const mrz = foldName(mrzParts.join('<'));
+    return transliterateToMRZ(printed).some(variant => {
+        const front = foldName(variant);
+        if (front === mrz || (truncated && front.startsWith(mrz))) return true;
+        return editDistance(front, truncated ? front.substring(0, mrz.length) : mrz) <= Math.floor(mrz.length / 8);
+    });
+}
+
+function dateAgrees(mrzDate, printed) {
+    if (!mrzDate?.valid || !printed) return null;
+    if (mrzDate.year !== null && (printed.fullYear ? printed.year !== mrzDate.year : printed.year !== mrzDate.year % 100)) return false;
+    if (mrzDate.month !== null && printed.month !== mrzDate.month) return false;
+    if (mrzDate.day !== null && printed.day !== mrzDate.day) return false;
+    return true;
+}
+
+function foldNumber(value) {
+    return (value || '').toUpperCase().replace(/[^A-Z0-9]/g, '').replace(/[OQDILZSB]/g, c => LOOKALIKES[c]);
+}
+
+// Compare the printed fields with the MRZ. A field is compared only when it
+// was read on the front; `consistent` is false on any mismatch and
+// `unread` lists the template fields OCR could not find.
+export function compareFrontWithMRZ(mrzData, front) {
+    const compared = [];
+    const mismatches = [];
+    const unread = Object.keys(front.fields).filter(name => !front.fields[name]);
+    const compare = (field, mrzValue, frontValue, agree) => {
+        if (agree === null) return;
+        compared.push(field);
+        if (!agree) mismatches.push({ field, mrz: mrzValue, front: frontValue });
+    };
+    const { fields } = front;
+    // The name can only run past the end of the MRZ in its last part
+    const truncated = Boolean(mrzData.name_truncated);
+    const hasGivenNames = (mrzData.secondary_identifiers || []).length > 0;
+
+    compare('last_name', mrzData.last_name, fields.last_name,
+        nameAgrees(mrzData.primary_identifiers, fields.last_name, truncated && !hasGivenNames));
+    compare('first_name', mrzData.first_name, fields.first_name,
+        nameAgrees(mrzData.secondary_identifiers, fields.first_name, truncated));
+    compare('date_of_birth', mrzData.date_of_birth, fields.date_of_birth?.raw,
+        dateAgrees(mrzData.dates?.birth, fields.date_of_birth));
+    compare('expiry_date', mrzData.expiry_date, fields.expiry_date?.raw,
+        dateAgrees(mrzData.dates?.expiry, fields.expiry_date));
+
+    if (fields.id_number) {
+        const mrzIds = [mrzData.id_number, mrzData.document_number, mrzData.omang_check?.number].filter(known);
+        if (mrzIds.length > 0) {
+            compare('id_number', mrzData.id_number, fields.id_number,
+                mrzIds.some(id => foldNumber(id) === foldNumber(fields.id_number)));
+        }
+    }
+
+    return { template: front.template, consistent: mismatches.length === 0, compared, mismatches, unread };
+}
@@ -0,0 +1,72 @@
+// Uploaded document images: the file type from its leading bytes (the
+// browser's MIME type is often empty for HEIC), and the EXIF orientation a
+// phone wrote into a JPEG instead of rotating the pixels.
+
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+
+function ascii(bytes, start, end) {
+    return String.fromCharCode(...bytes.subarray(start, end));
+}
+
+// 'jpeg', 'png', 'heic' or null, from the first bytes of the file
+export function detectImageType(bytes) {
+    if (bytes.length >= 3 && bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF) return 'jpeg';
+    if (bytes.length >= 8 && bytes[0] === 0x89 && ascii(bytes, 1, 4) === 'PNG') return 'png';
+    if (bytes.length >= 12 && ascii(bytes, 4, 8) === 'ftyp' && HEIC_BRANDS.includes(ascii(bytes, 8, 12))) return 'heic';
+    return null;
+}
+
+// EXIF orientation (1-8) of a JPEG, or 1 when it has none
+export function readJPEGOrientation(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return 1;
+
+    let offset = 2;
+    while (offset + 4 <= view.byteLength) {
+        const marker = view.getUint16(offset);
+        const length = view.getUint16(offset + 2);
+        // Start of scan: no more metadata segments
+        if (marker === 0xFFDA || (marker & 0xFF00) !== 0xFF00) break;
+
+        if (marker === 0xFFE1 && offset + 10 <= view.byteLength && ascii(bytes, offset + 4, offset + 8) === 'Exif') {
+            const tiff = offset + 10;
+            if (tiff + 8 > view.byteLength) return 1;
+            const little = view.getUint16(tiff) === 0x4949;
+            const ifd = tiff + view.getUint32(tiff + 4, little);
+            if (ifd + 2 > view.byteLength) return 1;
+            const entries = view.getUint16(ifd, little);
+            for (let i = 0; i < entries; i++) {
+                const entry = ifd + 2 + i * 12;
+                if (entry + 12 > view.byteLength) return 1;
+                if (view.getUint16(entry, little) === 0x0112) {
+                    const orientation = view.getUint16(entry + 8, little);
+                    return orientation >= 1 && orientation <= 8 ? orientation : 1;
+                }
+            }
+            return 1;
+        }
+        offset += 2 + length;
+    }
+    return 1;
+}
+
+// Canvas size and transform (for ctx.transform) that draw an image of the
+// given stored size upright for an EXIF orientation
+export function orientationTransform(orientation, width, height) {
+    const transforms = {
+        1: [1, 0, 0, 1, 0, 0],
+        2: [-1, 0, 0, 1, width, 0],
+        3: [-1, 0, 0, -1, width, height],
+        4: [1, 0, 0, -1, 0, height],
+        5: [0, 1, 1, 0, 0, 0],
+        6: [0, 1, -1, 0, height, 0],
+        7: [0, -1, -1, 0, height, width],
+        8: [0, -1, 1, 0, 0, width]
+    };
+    const swap = orientation >= 5 && orientation <= 8;
+    return {
+        width: swap ? height : width,
+        height: swap ? width : height,
+        transform: transforms[orientation] || transforms[1]
+    };
+}
@@ -0,0 +1,143 @@
+// Character-level OCR confidence for MRZ fields. Tesseract reports a
+// confidence and bounding box per symbol; these are lined up with the final
+// MRZ lines (after cleanup, padding and check-digit repairs) so every field
+// gets its own confidence instead of one number for the whole scan.
+
+// Below this Tesseract confidence (0-100) a field is worth a second look
+export const LOW_CONFIDENCE_THRESHOLD = 60;
+
+// Alignment scores: matching characters anchor the alignment, a swapped
+// character (often a check-digit repair) is cheaper than a gap
+const MATCH_SCORE = 2;
+const MISMATCH_SCORE = -1;
+const GAP_SCORE = -2;
+
+// Flatten a Tesseract result into OCR lines of MRZ characters, keeping each
+// character's confidence and box. Spaces and characters cleanMRZText would
+// drop are left out so the lines read like the cleaned text.
+export function collectOCRLines(ocrData) {
+    const lines = ocrData?.lines?.length
+        ? ocrData.lines
+        : [{ words: [{ symbols: ocrData?.symbols || [] }] }];
+
+    return lines.map(line => {
+        const symbols = [];
+        (line.words || []).forEach(word => {
+            (word.symbols || []).forEach(symbol => {
+                const chars = (symbol.text || '').toUpperCase().replace(/[^A-Z0-9<]/g, '');
+                for (const char of chars) {
+                    symbols.push({ char, confidence: symbol.confidence ?? 0, bbox: symbol.bbox || null });
+                }
+            });
+        });
+        return { text: symbols.map(s => s.char).join(''), symbols };
+    }).filter(line => line.symbols.length > 0);
+}
+
+// Align one MRZ line against the OCR symbol stream. The MRZ line must be
+// used from its start; the OCR stream may start and stop anywhere, which
+// covers both natural line breaks and text that was split by character count.
+function alignLine(mrzLine, symbols) {
+    const m = mrzLine.length;
+    const n = symbols.length;
+    const score = Array.from({ length: m + 1 }, () => new Array(n + 1).fill(0));
+    const move = Array.from({ length: m + 1 }, () => new Array(n + 1).fill(''));
+
+    for (let i = 1; i <= m; i++) {
+        score[i][0] = i * GAP_SCORE;
+        move[i][0] = 'up';
+    }
+    for (let i = 1; i <= m; i++) {
+        for (let j = 1; j <= n; j++) {
+            const diagonal = score[i - 1][j - 1] +
+                (mrzLine[i - 1] === symbols[j - 1].char ? MATCH_SCORE : MISMATCH_SCORE);
+            const up = score[i - 1][j] + GAP_SCORE;
+            const left = score[i][j - 1] + GAP_SCORE;
+            if (diagonal >= up && diagonal >= left) {
+                score[i][j] = diagonal;
+                move[i][j] = 'diag';
+            } else if (up >= left) {
+                score[i][j] = up;
+                move[i][j] = 'up';
+            } else {
+                score[i][j] = left;
+                move[i][j] = 'left';
+            }
+        }
+    }
+
+    // Free end gaps: finish wherever the alignment scores best, so fillers
+    // padded onto a short reading are not forced onto the next line's text
+    let i = m;
+    let j = 0;
+    for (let row = 0; row <= m; row++) {
+        for (let col = 0; col <= n; col++) {
+            if (score[row][col] > score[i][j]) {
+                i = row;
+                j = col;
+            }
+        }
+    }
+
+    const mapped = new Array(m).fill(null);
+    while (i > 0 && j >= 0) {
+        if (j === 0 || move[i][j] === 'up') {
+            i--;
+        } else if (move[i][j] === 'diag') {
+            const symbol = symbols[j - 1];
+            mapped[i - 1] = { ...symbol, read: symbol.char, corrected: symbol.char !== mrzLine[i - 1] };
+            i--;
+            j--;
+        } else {
+            j--;
+        }
+    }
+    return mapped;
+}
+
+// For every character of the MRZ lines, the OCR symbol it came from, or
+// null where the reading was padded or had nothing to offer
+export function alignOCRToMRZLines(mrzLines, ocrLines) {
+    const symbols = (ocrLines || []).flatMap(line => line.symbols);
+    if (symbols.length === 0) return mrzLines.map(line => new Array(line.length).fill(null));
+    return mrzLines.map(line => alignLine(line, symbols));
+}
+
+function unionBox(boxes) {
+    if (boxes.length === 0) return null;
+    return {
+        x0: Math.min(...boxes.map(b => b.x0)),
+        y0: Math.min(...boxes.map(b => b.y0)),
+        x1: Math.max(...boxes.map(b => b.x1)),
+        y1: Math.max(...boxes.map(b => b.y1))
+    };
+}
+
+// Confidence per extracted MRZ field. Fillers are left out of the average
+// when the field has any other characters, since a faint '<' says little
+// about the data. `missing` counts positions OCR never produced.
+export function mapMRZFieldConfidence(fields, alignedLines) {
+    const result = {};
+    Object.entries(fields || {}).forEach(([name, field]) => {
+        const mapped = (alignedLines[field.line] || []).slice(field.start, field.end);
+        const characters = field.raw.split('').map((char, i) => ({
+            char,
+            confidence: mapped[i] ? mapped[i].confidence : null,
+            read: mapped[i] ? mapped[i].read : null
+        }));
+        const content = characters.filter(c => c.char !== '<');
+        const scored = (content.length > 0 ? content : characters).filter(c => c.confidence !== null);
+        const confidences = scored.map(c => c.confidence);
+
+        result[name] = {
+            confidence: confidences.length > 0
+                ? Math.round(confidences.reduce((sum, c) => sum + c, 0) / confidences.length)
+                : null,
+            minConfidence: confidences.length > 0 ? Math.round(Math.min(...confidences)) : null,
+            missing: characters.filter(c => c.confidence === null).length,
+            bbox: unionBox(mapped.filter(s => s?.bbox).map(s => s.bbox)),
+            characters
+        };
+    });
+    return result;
+}
@@ -0,0 +1,115 @@
+// Multi-frame MRZ consensus. Each frame is parsed on its own (so check-digit
+// repairs are already applied), then every character position is settled by
+// a vote weighted by OCR confidence and by whether the check digits covering
+// that position passed in the frame. One frame spoiled by glare or motion
+// blur is outvoted by the others.
+
+import { parseMRZ } from './mrz.mjs';
+import { alignOCRToMRZLines } from './mrz-confidence.mjs';
+
+// Confidence assumed for a character when the frame has no symbol data
+const DEFAULT_CHAR_CONFIDENCE = 50;
+// Vote multipliers for positions under a passing or failing check digit
+const CHECK_PASS_FACTOR = 1.5;
+const CHECK_FAIL_FACTOR = 0.5;
+
+function coversPosition(entry, line, position) {
+    if (entry.line === line && entry.position === position) return true;
+    return entry.segments.some(([l, s, e]) => l === line && position >= s && position < e);
+}
+
+// The weight each character of a parsed frame brings to the vote
+function frameVotes(result, ocrLines) {
+    const lines = result.data.raw_lines;
+    const aligned = ocrLines ? alignOCRToMRZLines(lines, ocrLines) : lines.map(l => new Array(l.length).fill(null));
+    const report = result.checksums.report || [];
+
+    return lines.map((line, lineIndex) => line.split('').map((char, position) => {
+        const symbol = aligned[lineIndex][position];
+        const confidence = symbol ? symbol.confidence : DEFAULT_CHAR_CONFIDENCE;
+        let factor = 1;
+        report.filter(entry => coversPosition(entry, lineIndex, position)).forEach(entry => {
+            factor *= entry.status === 'pass' ? CHECK_PASS_FACTOR : CHECK_FAIL_FACTOR;
+        });
+        return { char, confidence, weight: Math.max(confidence, 1) / 100 * factor, bbox: symbol?.bbox || null };
+    }));
+}
+
+// Combine OCR readings of several frames into one MRZ. Each reading is
+// { text, ocrLines } as produced for a single frame. Frames that do not
+// parse, or parse as a different format than most frames, are left out.
+// Returns the consensus text plus synthetic OCR lines whose confidences
+// reflect how strongly the frames agreed, ready for parseMRZ.
+export function buildMRZConsensus(readings) {
+    const frames = readings
+        .map((reading, index) => {
+            const result = reading?.text ? parseMRZ(reading.text, { ocrLines: reading.ocrLines }) : null;
+            return result ? { index, result, ocrLines: reading.ocrLines } : null;
+        })
+        .filter(Boolean);
+    if (frames.length === 0) return null;
+
+    // Most common format wins; ties go to the format with more passing check digits
+    const tally = {};
+    frames.forEach(({ result }) => {
+        const entry = tally[result.format] || (tally[result.format] = { frames: 0, passes: 0 });
+        entry.frames++;
+        entry.passes += result.checksums.report.filter(e => e.status === 'pass').length;
+    });
+    const format = Object.keys(tally).sort((a, b) =>
+        tally[b].frames - tally[a].frames || tally[b].passes - tally[a].passes)[0];
+    const voters = frames.filter(f => f.result.format === format);
+    const votes = voters.map(f => frameVotes(f.result, f.ocrLines));
+
+    const lines = [];
+    const ocrLines = [];
+    const disagreements = [];
+    let agreementSum = 0;
+    let positions = 0;
+
+    voters[0].result.data.raw_lines.forEach((line, lineIndex) => {
+        let text = '';
+        const symbols = [];
+        for (let position = 0; position < line.length; position++) {
+            const tallies = {};
+            votes.forEach(frame => {
+                const vote = frame[lineIndex]?.[position];
+                if (!vote) return;
+                const t = tallies[vote.char] || (tallies[vote.char] = { weight: 0, confidences: [], bbox: vote.bbox });
+                t.weight += vote.weight;
+                t.confidences.push(vote.confidence);
+            });
+            const ranked = Object.entries(tallies).sort((a, b) => b[1].weight - a[1].weight);
+            const [char, winner] = ranked[0];
+            const total = ranked.reduce((sum, [, t]) => sum + t.weight, 0);
+            const agreement = winner.weight / total;
+            const meanConfidence = winner.confidences.reduce((sum, c) => sum + c, 0) / winner.confidences.length;
+
+            text += char;
+            symbols.push({ char, confidence: Math.round(meanConfidence * agreement), bbox: winner.bbox });
+            agreementSum += agreement;
+            positions++;
+            if (ranked.length > 1) {
+                disagreements.push({
+                    line: lineIndex,
+                    position,
+                    chosen: char,
+                    votes: Object.fromEntries(ranked.map(([c, t]) => [c, Math.round(t.weight * 100) / 100]))
+                });
+            }
+        }
+        lines.push(text);
+        ocrLines.push({ text, symbols });
+    });
+
+    return {
+        text: lines.join('\n'),
+        lines,
+        ocrLines,
+        format,
+        framesRead: readings.length,
+        framesUsed: voters.length,
+        agreement: positions > 0 ? Math.round(agreementSum / positions * 100) / 100 : 0,
+        disagreements
+    };
+}
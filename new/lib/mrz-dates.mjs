@@ -0,0 +1,209 @@
+// MRZ date handling: YYMMDD fields validated against the real calendar,
+// partial dates where the issuer left the day or month unknown ('<<' or
+// 'XX'), and the century picked from how the dates relate to each other
+// and to today rather than from a fixed two-digit pivot.
+
+// Oldest plausible holder, and how far ahead a document may still be valid
+const MAX_PLAUSIBLE_AGE = 130;
+const MAX_VALIDITY_YEARS = 30;
+const DAY_MS = 86400000;
+const MRZ_CENTURIES = [1900, 2000, 2100];
+
+function isLeapYear(year) {
+    return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+}
+
+function daysInMonth(year, month) {
+    return [31, isLeapYear(year) ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31][month - 1];
+}
+
+// One two-character part of the date: a number, null when marked unknown,
+// or NaN when unreadable
+function readDatePart(pair) {
+    if (pair === '<<' || pair === 'XX') return null;
+    const digits = pair.replace(/O/g, '0').replace(/[IL]/g, '1');
+    return /^\d\d$/.test(digits) ? parseInt(digits, 10) : NaN;
+}
+
+// Split a raw MRZ date into its parts without choosing a century yet.
+// Four-character YYMM dates (issue dates inside some document numbers)
+// are read with the day unknown.
+export function parseMRZDateParts(raw) {
+    const text = (raw || '').toUpperCase();
+    const parts = { raw: text, year2: null, month: null, day: null, partial: false, valid: false };
+    if (text.length !== 6 && text.length !== 4) return parts;
+
+    parts.year2 = readDatePart(text.substring(0, 2));
+    parts.month = readDatePart(text.substring(2, 4));
+    parts.day = text.length === 6 ? readDatePart(text.substring(4, 6)) : null;
+
+    if ([parts.year2, parts.month, parts.day].some(Number.isNaN)) return parts;
+    if (parts.month !== null && (parts.month < 1 || parts.month > 12)) return parts;
+    if (parts.day !== null && (parts.day < 1 || parts.day > 31)) return parts;
+    // A day without its month says nothing useful
+    if (parts.month === null) parts.day = null;
+
+    parts.partial = parts.year2 === null || parts.month === null || parts.day === null;
+    parts.valid = parts.year2 !== null && MRZ_CENTURIES.some(c => isRealDate(c + parts.year2, parts.month, parts.day));
+    return parts;
+}
+
+function isRealDate(year, month, day) {
+    if (month === null || day === null) return true;
+    return day <= daysInMonth(year, month);
+}
+
+// True when a raw date can be a calendar date in some century; used to
+// rule out check-digit repairs that would produce 31 February
+export function isValidMRZDate(raw) {
+    const parts = parseMRZDateParts(raw);
+    return parts.valid || (parts.year2 === null && parts.raw.length > 0 && !/[^<X]/.test(parts.raw));
+}
+
+// Earliest and latest instants a (possibly partial) date can stand for
+function dateBounds(year, month, day) {
+    const earliest = Date.UTC(year, (month || 1) - 1, day || 1);
+    const lastMonth = month || 12;
+    const latest = Date.UTC(year, lastMonth - 1, day || daysInMonth(year, lastMonth));
+    return { earliest, latest };
+}
+
+function todayUTC(today) {
+    return Date.UTC(today.getFullYear(), today.getMonth(), today.getDate());
+}
+
+function addYears(time, years) {
+    const date = new Date(time);
+    date.setUTCFullYear(date.getUTCFullYear() + years);
+    return date.getTime();
+}
+
+// Every century in which the parts form a real date, oldest first
+function candidateDates(parts) {
+    if (!parts.valid) return [];
+    return MRZ_CENTURIES
+        .map(c => c + parts.year2)
+        .filter(year => isRealDate(year, parts.month, parts.day))
+        .map(year => ({ year, ...dateBounds(year, parts.month, parts.day) }));
+}
+
+function buildDate(parts, chosen, verified) {
+    const date = {
+        raw: parts.raw,
+        year: chosen ? chosen.year : null,
+        month: parts.month,
+        day: parts.day,
+        partial: parts.partial,
+        valid: Boolean(chosen),
+        verified,
+        plausible: Boolean(chosen),
+        iso: null
+    };
+    if (chosen) {
+        date.iso = String(chosen.year);
+        if (parts.month !== null) date.iso += '-' + String(parts.month).padStart(2, '0');
+        if (parts.month !== null && parts.day !== null) date.iso += '-' + String(parts.day).padStart(2, '0');
+    }
+    return date;
+}
+
+function normalizeInput(input) {
+    if (input === undefined || input === null) return null;
+    return typeof input === 'string' ? { raw: input, verified: null } : { verified: null, ...input };
+}
+
+// Resolve the century of birth, expiry and issue dates together.
+// Each input is a raw MRZ date or { raw, verified } where `verified` says
+// whether its check digit passed; a date whose check digit failed is still
+// resolved but is not used to place the others.
+//   issue:  the latest century not after today
+//   birth:  the latest century not after today or the issue date
+//   expiry: after birth and issue, and no more than MAX_VALIDITY_YEARS ahead
+export function resolveMRZDates(inputs, today = new Date()) {
+    const now = todayUTC(today);
+    const result = {};
+    const entries = {
+        birth: normalizeInput(inputs.birth),
+        expiry: normalizeInput(inputs.expiry),
+        issue: normalizeInput(inputs.issue)
+    };
+    const parts = {};
+    Object.entries(entries).forEach(([key, entry]) => {
+        if (entry) parts[key] = parseMRZDateParts(entry.raw);
+    });
+    const trusted = key => result[key]?.valid && entries[key].verified !== false;
+    const bounds = key => dateBounds(result[key].year, result[key].month, result[key].day);
+
+    if (parts.issue) {
+        const chosen = candidateDates(parts.issue).filter(c => c.earliest <= now).pop() || null;
+        result.issue = buildDate(parts.issue, chosen, entries.issue.verified);
+    }
+
+    if (parts.birth) {
+        const candidates = candidateDates(parts.birth).filter(c => c.earliest <= now);
+        const notAfterIssue = trusted('issue')
+            ? candidates.filter(c => c.earliest <= bounds('issue').latest)
+            : candidates;
+        const chosen = (notAfterIssue.length > 0 ? notAfterIssue : candidates).pop() || null;
+        result.birth = buildDate(parts.birth, chosen, entries.birth.verified);
+        if (chosen && chosen.latest < addYears(now, -MAX_PLAUSIBLE_AGE)) {
+            result.birth.plausible = false;
+        }
+    }
+
+    if (parts.expiry) {
+        const anchors = ['birth', 'issue'].filter(trusted).map(key => bounds(key).earliest);
+        const after = candidateDates(parts.expiry).filter(c => anchors.every(a => c.latest > a));
+        const limit = addYears(now, MAX_VALIDITY_YEARS);
+        const chosen = after.filter(c => c.earliest <= limit).pop() || after[0] || null;
+        result.expiry = buildDate(parts.expiry, chosen, entries.expiry.verified);
+        if (chosen && chosen.earliest > limit) result.expiry.plausible = false;
+    }
+
+    return result;
+}
+
+// ISO form of a resolved date, shortened to YYYY-MM or YYYY when the
+// day or month is unknown
+export function formatMRZDate(date) {
+    return date?.iso || 'UNKNOWN';
+}
+
+// Earliest and latest calendar day a resolved date can stand for, as UTC
+// timestamps, or null when the year is unknown
+export function mrzDateBounds(date) {
+    if (!date?.valid) return null;
+    return dateBounds(date.year, date.month, date.day);
+}
+
+function wholeYearsBetween(from, to) {
+    const start = new Date(from);
+    const end = new Date(to);
+    let years = end.getUTCFullYear() - start.getUTCFullYear();
+    if (end.getUTCMonth() < start.getUTCMonth() ||
+        (end.getUTCMonth() === start.getUTCMonth() && end.getUTCDate() < start.getUTCDate())) {
+        years--;
+    }
+    return years;
+}
+
+// Age on `today` from a resolved birth date. A full date gives the exact
+// age; a partial one gives the range it could fall in, and is only exact
+// when both ends agree.
+export function calculateMRZAge(birth, today = new Date()) {
+    const range = mrzDateBounds(birth);
+    if (!range) return null;
+    const now = todayUTC(today);
+    const minYears = wholeYearsBetween(range.latest, now);
+    const maxYears = wholeYearsBetween(range.earliest, now);
+    const exact = minYears === maxYears;
+    return { years: exact ? minYears : null, minYears, maxYears, exact };
+}
+
+// Whole days from a resolved date to today; positive once it has passed.
+// Partial dates count from their last possible day.
+export function daysSinceMRZDate(date, today = new Date()) {
+    const range = mrzDateBounds(date);
+    if (!range) return null;
+    return Math.floor((todayUTC(today) - range.latest) / DAY_MS);
+}
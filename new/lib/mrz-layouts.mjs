@@ -0,0 +1,37 @@
+// National MRZ layouts that do not follow the ICAO TD1/TD2/TD3 field positions.
+// Each variant is selected by the document code and issuing state at the start
+// of line 1. Positions are 0-based and end-exclusive, matching
+// getMRZFieldLayout in mrz.mjs; `checks` follows the getMRZCheckFields shape.
+export const MRZ_LAYOUT_VARIANTS = [
+    {
+        // French national identity card (CNI) issued 1988-2021
+        id: 'FRA-CNI',
+        label: 'French ID Card',
+        documentCode: 'ID',
+        issuingState: 'FRA',
+        lineCount: 2,
+        lineLength: 36,
+        defaults: { nationality: 'FRA' },
+        fields: [
+            { name: 'document_code', line: 0, start: 0, end: 2 },
+            { name: 'issuing_state', line: 0, start: 2, end: 5 },
+            { name: 'surname', line: 0, start: 5, end: 30, kind: 'name' },
+            { name: 'issuing_office', line: 0, start: 30, end: 36 },
+            { name: 'document_number', line: 1, start: 0, end: 12 },
+            // The number opens with the YYMM it was issued
+            { name: 'issue_date', line: 1, start: 0, end: 4, kind: 'date' },
+            { name: 'document_number_check', line: 1, start: 12, end: 13, kind: 'check' },
+            { name: 'given_names', line: 1, start: 13, end: 27, kind: 'name' },
+            { name: 'date_of_birth', line: 1, start: 27, end: 33, kind: 'date' },
+            { name: 'date_of_birth_check', line: 1, start: 33, end: 34, kind: 'check' },
+            { name: 'sex', line: 1, start: 34, end: 35, kind: 'raw' },
+            { name: 'composite_check', line: 1, start: 35, end: 36, kind: 'check' }
+        ],
+        checks: [
+            { name: 'document_number', line: 1, start: 0, end: 12, check: 12, type: 'alphanumeric' },
+            { name: 'date_of_birth', line: 1, start: 27, end: 33, check: 33, type: 'numeric' },
+            { name: 'composite', line: 1, check: 35, composite: true,
+              segments: [[0, 0, 36], [1, 0, 35]] }
+        ]
+    }
+];
@@ -0,0 +1,100 @@
+// MRZ name handling: splitting the name field into primary and secondary
+// identifiers, spotting names cut off at the end of the line, and matching
+// against a name typed by the applicant using ICAO 9303 Part 3 transliteration.
+
+// ICAO 9303 Part 3 transliterations for Latin characters outside A-Z.
+// The first entry is the recommended form; issuers also use the others.
+// Characters not listed lose their diacritic (É -> E).
+const ICAO_TRANSLITERATIONS = {
+    'Ä': ['AE', 'A'], 'Ö': ['OE', 'O'], 'Ü': ['UE', 'U'],
+    'Å': ['AA', 'A'], 'Æ': ['AE'], 'Ø': ['OE', 'O'], 'Œ': ['OE'],
+    'ß': ['SS'], 'Þ': ['TH'], 'Ð': ['D'], 'Ĳ': ['IJ'],
+    'Ñ': ['N', 'NXX']
+};
+
+// Split an MRZ name field into identifiers. Primary identifiers (surname)
+// come before the first '<<', secondary identifiers (given names) after it,
+// and '<' separates the parts within each. A name whose last character is
+// not a filler ran to the end of the field and may have been truncated.
+export function parseMRZName(raw) {
+    const field = raw || '';
+    const trimmed = field.replace(/<+$/, '');
+    const separator = trimmed.indexOf('<<');
+    const primary = separator === -1 ? trimmed : trimmed.substring(0, separator);
+    const secondary = separator === -1 ? '' : trimmed.substring(separator + 2);
+
+    return {
+        primary: primary.split('<').filter(Boolean),
+        secondary: secondary.split('<').filter(Boolean),
+        truncated: field.length > 0 && field.charAt(field.length - 1) !== '<'
+    };
+}
+
+// Every MRZ spelling of a typed name: upper case, ICAO transliterations,
+// apostrophes dropped and spaces/hyphens turned into '<'
+export function transliterateToMRZ(text) {
+    let variants = [''];
+    for (const char of (text || '').toUpperCase()) {
+        let options = ICAO_TRANSLITERATIONS[char];
+        if (!options) {
+            const base = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+            if (/^[A-Z]$/.test(base)) options = [base];
+            else if (/[\s\-,.]/.test(char)) options = ['<'];
+            else options = [''];
+        }
+        variants = variants.flatMap(v => options.map(o => v + o)).slice(0, 32);
+    }
+    return [...new Set(variants.map(v => v.replace(/<+/g, '<').replace(/^<|<$/g, '')))];
+}
+
+// Collapse the two-letter ICAO forms so 'JOERG' in the MRZ matches a
+// typed 'Jorg' as well as 'Jörg'
+function foldTransliteration(part) {
+    return part.replace(/AE/g, 'A').replace(/OE/g, 'O').replace(/UE/g, 'U').replace(/AA/g, 'A');
+}
+
+// Compare the MRZ name with a full name typed by the applicant, in any order.
+// Every MRZ part must appear in the typed name; when the MRZ name may be
+// truncated its last part only needs to be a prefix and trailing typed
+// parts may be missing from the MRZ.
+export function matchMRZName(mrzName, typedName) {
+    const mrzParts = [...mrzName.primary, ...mrzName.secondary];
+    let best = null;
+
+    for (const variant of transliterateToMRZ(typedName)) {
+        const typedParts = variant.split('<').filter(Boolean);
+        const remaining = [...typedParts];
+        const unmatched = [];
+
+        mrzParts.forEach((part, i) => {
+            const isLast = i === mrzParts.length - 1;
+            let index = remaining.findIndex(t =>
+                t === part || foldTransliteration(t) === foldTransliteration(part));
+            if (index === -1 && isLast && mrzName.truncated) {
+                index = remaining.findIndex(t =>
+                    t.startsWith(part) || foldTransliteration(t).startsWith(foldTransliteration(part)));
+            }
+            if (index === -1) {
+                unmatched.push(part);
+            } else {
+                remaining.splice(index, 1);
+            }
+        });
+
+        const extraAllowed = mrzName.truncated ? remaining.length : 0;
+        const matched = mrzParts.length - unmatched.length;
+        const total = Math.max(mrzParts.length + remaining.length - extraAllowed, 1);
+        const result = {
+            match: unmatched.length === 0 && remaining.length <= extraAllowed,
+            score: matched / total,
+            unmatchedMRZParts: unmatched,
+            unmatchedTypedParts: remaining,
+            truncated: mrzName.truncated
+        };
+        if (!best || result.score > best.score || (result.match && !best.match)) best = result;
+    }
+
+    return best || {
+        match: false, score: 0, unmatchedMRZParts: mrzParts, unmatchedTypedParts: [], truncated: mrzName.truncated
+    };
+}
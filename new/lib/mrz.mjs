@@ -0,0 +1,1224 @@
+// MRZ parsing, validation and scoring for ICAO 9303 documents.
+// Pure functions with no DOM access, so the same code runs in the browser
+// pages and in Node:
+//
+//     import { parseMRZ } from './lib/mrz.mjs';
+//     const result = parseMRZ(ocrText);
+//     // result.data, result.documentType, result.checksums, result.quality
+//
+// Pass { ocrLines } from collectOCRLines to get a confidence per field.
+
+import { ICAO_COUNTRY_CODES } from './icao-countries.mjs';
+import { MRZ_LAYOUT_VARIANTS } from './mrz-layouts.mjs';
+import { parseMRZName } from './mrz-names.mjs';
+import { checkOmang } from './omang.mjs';
+import { resolveMRZDates, formatMRZDate, calculateMRZAge, isValidMRZDate } from './mrz-dates.mjs';
+import {
+    alignOCRToMRZLines, mapMRZFieldConfidence, LOW_CONFIDENCE_THRESHOLD
+} from './mrz-confidence.mjs';
+
+export { parseMRZName, transliterateToMRZ, matchMRZName } from './mrz-names.mjs';
+export { validateOmangNumber, checkOmang } from './omang.mjs';
+export {
+    parseMRZDateParts, resolveMRZDates, formatMRZDate, calculateMRZAge, mrzDateBounds, daysSinceMRZDate
+} from './mrz-dates.mjs';
+export {
+    collectOCRLines, alignOCRToMRZLines, mapMRZFieldConfidence, LOW_CONFIDENCE_THRESHOLD
+} from './mrz-confidence.mjs';
+
+// ==================== Text Cleanup ====================
+
+// Split by newlines FIRST, clean each line individually, return with \n preserved
+export function cleanMRZText(text) {
+    // Split by newlines first to preserve line structure
+    const rawLines = text.split(/[\r\n]+/).filter(line => line.trim().length > 0);
+
+    // Clean each line: uppercase, strip non-MRZ chars
+    const cleanedLines = rawLines
+        .map(line => line.toUpperCase().replace(/[^A-Z0-9<]/g, ''))
+        .filter(line => line.length > 0);
+
+    // MRZ lines are 30 (TD1), 36 (TD2), or 44 (TD3) chars.
+    // Keep lines that look like MRZ (mostly <, uppercase, digits, length >= 10)
+    const mrzLikeLines = cleanedLines.filter(line => {
+        if (line.length < 10) return false;
+        const hasFillers = (line.match(/</g) || []).length >= 2;
+        return hasFillers || line.length >= 25;
+    });
+
+    if (mrzLikeLines.length >= 2) {
+        // Sort by length descending - take the longest lines which are likely MRZ
+        const sorted = [...mrzLikeLines].sort((a, b) => b.length - a.length);
+        // For TD1 we need 3, for TD2/TD3 we need 2
+        const needed = sorted.length >= 3 && sorted[2].length >= 25 ? 3 : 2;
+        const topLines = sorted.slice(0, needed);
+        // Preserve original order from the OCR output
+        const ordered = mrzLikeLines.filter(l => topLines.includes(l));
+        // Return lines joined WITH newline to preserve structure
+        return ordered.join('\n');
+    }
+
+    // Fallback: clean the whole thing as one block (no line info available)
+    const block = text.toUpperCase().replace(/[^A-Z0-9<]/g, '');
+    return block;
+}
+
+// Context-aware field cleaning - FIXED: only high-confidence corrections
+function cleanMRZField(value, fieldType) {
+    if (!value) return value;
+
+    let cleaned = value.toUpperCase().trim();
+
+    if (fieldType === 'numeric') {
+        // For numeric fields: only high-confidence OCR error fixes
+        cleaned = cleaned
+            .replace(/O/g, '0')
+            .replace(/I/g, '1')
+            .replace(/L/g, '1')
+            .replace(/[^0-9]/g, '');
+    } else if (fieldType === 'alpha') {
+        // For alpha fields: only high-confidence reverse corrections
+        cleaned = cleaned
+            .replace(/0/g, 'O')
+            .replace(/1/g, 'I')
+            .replace(/[^A-Z<\s]/g, '');
+    }
+
+    return cleaned;
+}
+
+// Split text into MRZ lines
+export function splitIntoMRZLines(text, lineLength, numLines) {
+    const lines = [];
+    for (let i = 0; i < numLines; i++) {
+        const start = i * lineLength;
+        const end = start + lineLength;
+        if (start < text.length) {
+            let line = text.substring(start, end);
+            if (line.length < lineLength) {
+                line = line.padEnd(lineLength, '<');
+            }
+            lines.push(line);
+        }
+    }
+    return lines;
+}
+
+// ==================== MRZ Parsing ====================
+
+// Layouts for text without line breaks, split by character count
+const FLAT_LAYOUTS = [
+    { format: 'TD1', label: 'Omang/ID Card', lineLength: 30, lineCount: 3, minLength: 80 },
+    { format: 'TD3', label: 'Passport', lineLength: 44, lineCount: 2, minLength: 80 },
+    { format: 'TD2', label: 'ID Card', lineLength: 36, lineCount: 2, minLength: 70 }
+];
+
+// Detect the document format in OCR text and parse, validate and score it.
+// Returns null when no MRZ layout fits the text.
+export function parseMRZ(rawText, options = {}) {
+    const cleanText = cleanMRZText(rawText || '');
+    let parsedData = null;
+    let documentType = null;
+
+    // First: try using natural line breaks from OCR (most reliable)
+    const naturalLines = cleanText.split('\n').filter(l => l.length >= 20);
+
+    if (naturalLines.length >= 3 && naturalLines[0].length >= 25) {
+        // TD1: 3 lines of ~30 chars
+        parsedData = parseWithCorrection('TD1', naturalLines.slice(0, 3));
+        if (parsedData) documentType = 'TD1 (Omang/ID Card)';
+    }
+
+    // National layouts that reuse ICAO line lengths with different positions
+    const variant = findLayoutVariant(naturalLines);
+    if (!parsedData && variant) {
+        parsedData = parseWithCorrection(variant.id, naturalLines.slice(0, variant.lineCount));
+        if (parsedData) documentType = `${variant.id} (${variant.label})`;
+    }
+
+    // Visas share line lengths with TD3/TD2 but always start with 'V'
+    if (!parsedData && naturalLines.length >= 2 && naturalLines[0].startsWith('V')) {
+        // MRV-A: 2 lines of ~44 chars, MRV-B: 2 lines of ~36 chars
+        const format = naturalLines[0].length >= 40 ? 'MRV-A' : 'MRV-B';
+        parsedData = parseWithCorrection(format, naturalLines.slice(0, 2));
+        if (parsedData) documentType = `${format} (Visa)`;
+    }
+
+    if (!parsedData && naturalLines.length >= 2 && naturalLines[0].length >= 40) {
+        // TD3: 2 lines of ~44 chars
+        parsedData = parseWithCorrection('TD3', naturalLines.slice(0, 2));
+        if (parsedData) documentType = 'TD3 (Passport)';
+    }
+
+    if (!parsedData && naturalLines.length >= 2 && naturalLines[0].length >= 30) {
+        // TD2: 2 lines of ~36 chars
+        parsedData = parseWithCorrection('TD2', naturalLines.slice(0, 2));
+        if (parsedData) documentType = 'TD2 (ID Card)';
+    }
+
+    // Fallback: character-count splitting (for single-block text without line breaks)
+    const flatText = cleanText.replace(/\n/g, '');
+
+    const flatVariant = MRZ_LAYOUT_VARIANTS.find(v =>
+        flatText.startsWith(v.documentCode.padEnd(2, '<') + v.issuingState) &&
+        flatText.length >= (v.lineCount - 0.5) * v.lineLength
+    );
+    if (!parsedData && flatVariant) {
+        const lines = splitIntoMRZLines(flatText, flatVariant.lineLength, flatVariant.lineCount);
+        parsedData = parseWithCorrection(flatVariant.id, lines);
+        if (parsedData) documentType = `${flatVariant.id} (${flatVariant.label})`;
+    }
+
+    if (!parsedData && flatText.startsWith('V') && flatText.length >= 70) {
+        const format = flatText.length >= 80 ? 'MRV-A' : 'MRV-B';
+        const lines = splitIntoMRZLines(flatText, format === 'MRV-A' ? 44 : 36, 2);
+        parsedData = parseWithCorrection(format, lines);
+        if (parsedData) documentType = `${format} (Visa)`;
+    }
+
+    // Plain ICAO layouts, tried in the order a document classifier expects
+    // when the caller passes one (options.expectedFormats), else TD1 first
+    const expected = options.expectedFormats || [];
+    const rank = format => (expected.includes(format) ? expected.indexOf(format) : expected.length);
+    [...FLAT_LAYOUTS].sort((a, b) => rank(a.format) - rank(b.format)).forEach(layout => {
+        if (parsedData || flatText.length < layout.minLength) return;
+        const lines = splitIntoMRZLines(flatText, layout.lineLength, layout.lineCount);
+        parsedData = parseWithCorrection(layout.format, lines);
+        if (parsedData) documentType = `${layout.format} (${layout.label})`;
+    });
+
+    if (!parsedData) return null;
+
+    const format = documentType.split(' ')[0];
+
+    // Nationality and issuing state must be registered ICAO codes
+    parsedData.country_checks = checkMRZCountryCodes(parsedData);
+    parsedData.nationality_name = parsedData.country_checks.nationality.name;
+    parsedData.issuing_state_name = parsedData.country_checks.issuing_state.name;
+
+    // Botswana Omang number rules
+    parsedData.omang_check = checkOmang(parsedData);
+
+    // Per-field OCR confidence, when the caller kept Tesseract's symbols
+    if (options.ocrLines) {
+        const aligned = alignOCRToMRZLines(parsedData.raw_lines || [], options.ocrLines);
+        parsedData.field_confidence = mapMRZFieldConfidence(parsedData.fields, aligned);
+    }
+
+    const checksums = validateMRZChecksums(parsedData, parsedData.raw_lines || [], format);
+    const quality = calculateMRZQuality(parsedData, parsedData.raw_lines || [], documentType, checksums);
+
+    return { data: parsedData, format, documentType, checksums, quality };
+}
+
+// Parse lines as the given format, repairing misreads the check digits can resolve
+export function parseWithCorrection(format, lines) {
+    const parsers = {
+        TD1: parseTD1,
+        TD2: parseTD2,
+        TD3: parseTD3,
+        'MRV-A': l => parseMRV(l, 'MRV-A'),
+        'MRV-B': l => parseMRV(l, 'MRV-B')
+    };
+    const variant = getLayoutVariant(format);
+    if (variant) parsers[format] = l => parseLayoutVariant(l, variant);
+
+    const initial = parsers[format](lines);
+    if (!initial) return null;
+
+    const correction = correctMRZWithChecksums(initial.raw_lines, format);
+    const parsed = correction.corrections.length > 0 ? parsers[format](correction.lines) : initial;
+    if (!parsed) return null;
+
+    parsed.corrections = correction.corrections;
+    Object.assign(parsed, extractNameIdentifiers(parsed.fields || {}));
+    return parsed;
+}
+
+// Primary/secondary identifiers for whichever name fields the layout has:
+// one ICAO 'name' field, or separate 'surname' and 'given_names' fields
+function extractNameIdentifiers(fields) {
+    let name;
+    if (fields.name) {
+        name = parseMRZName(fields.name.raw);
+    } else {
+        const surname = parseMRZName(fields.surname?.raw);
+        const givenNames = fields.given_names?.raw || '';
+        name = {
+            primary: surname.primary,
+            secondary: givenNames.split('<').filter(Boolean),
+            truncated: surname.truncated || parseMRZName(givenNames).truncated
+        };
+    }
+    return {
+        primary_identifiers: name.primary,
+        secondary_identifiers: name.secondary,
+        name_truncated: name.truncated
+    };
+}
+
+// TD1 parsing - FIXED: checksum validation for document number length
+export function parseTD1(lines) {
+    try {
+        if (lines.length < 3) return null;
+
+        const line1 = padLine(lines[0], 30);
+        const line2 = padLine(lines[1], 30);
+        const line3 = padLine(lines[2], 30);
+
+
+        // ID Number (positions 5-14) - use checksum to validate length
+        let idNumber = line1.substring(5, 14).replace(/</g, '');
+        const idCheckDigit = parseInt(line1.charAt(14));
+
+        // Try 9-char document number first
+        let id9 = cleanMRZField(line1.substring(5, 14).replace(/</g, ''), 'numeric');
+        const calc9 = calculateMRZCheckDigit(line1.substring(5, 14));
+        if (calc9 === idCheckDigit) {
+            idNumber = id9;
+        } else {
+            // Try with optional character at position 15
+            let id10 = cleanMRZField(line1.substring(5, 15).replace(/</g, ''), 'numeric');
+            idNumber = id10 || id9;
+        }
+
+        // Gender (position 7 in line 2)
+        const gender = line2.charAt(7);
+
+        // Nationality (positions 15-17 in line 2)
+        const nationality = line2.substring(15, 18).replace(/</g, '').trim();
+
+        // Names from line 3 (format: SURNAME<<FIRSTNAME<MIDDLE)
+        const nameParts = line3.split('<<');
+        let lastName = '';
+        let firstName = '';
+
+        if (nameParts.length >= 1) {
+            lastName = cleanMRZField(nameParts[0].replace(/</g, ' ').trim(), 'alpha');
+        }
+        if (nameParts.length >= 2) {
+            firstName = cleanMRZField(nameParts[1].replace(/</g, ' ').trim(), 'alpha');
+        }
+
+        if (!firstName && lastName.includes('<')) {
+            const altParts = line3.split('<').filter(p => p.trim());
+            if (altParts.length >= 2) {
+                lastName = cleanMRZField(altParts[0], 'alpha');
+                firstName = cleanMRZField(altParts.slice(1).join(' '), 'alpha');
+            }
+        }
+
+        const fields = extractMRZFields([line1, line2, line3], 'TD1');
+        const dates = extractMRZDates(fields);
+
+        return {
+            first_name: firstName || 'UNKNOWN',
+            last_name: lastName || 'UNKNOWN',
+            id_number: idNumber || 'UNKNOWN',
+            date_of_birth: formatMRZDate(dates.birth),
+            gender: parseGender(gender),
+            expiry_date: formatMRZDate(dates.expiry),
+            nationality: nationality || 'UNKNOWN',
+            document_code: fields.document_code.value,
+            issuing_state: fields.issuing_state.value || 'UNKNOWN',
+            document_number: fields.document_number.value,
+            optional_data_1: fields.optional_data_1.value,
+            optional_data_2: fields.optional_data_2.value,
+            dates,
+            age: calculateMRZAge(dates.birth),
+            fields,
+            raw_lines: [line1, line2, line3]
+        };
+    } catch (error) {
+        console.error('TD1 parsing error:', error);
+        return null;
+    }
+}
+
+export function parseTD3(lines) {
+    try {
+        if (lines.length < 2) return null;
+
+        const line1 = padLine(lines[0], 44);
+        const line2 = padLine(lines[1], 44);
+
+        // Names (positions 5-44 in line 1)
+        const nameSection = line1.substring(5, 44);
+        const nameParts = nameSection.split('<<');
+        let lastName = cleanMRZField(nameParts[0]?.replace(/</g, ' ').trim() || '', 'alpha');
+        let firstName = cleanMRZField(nameParts[1]?.replace(/</g, ' ').trim() || '', 'alpha');
+
+        // Passport Number (positions 0-9 in line 2)
+        const idNumber = cleanMRZField(line2.substring(0, 9).replace(/</g, '').trim(), 'numeric');
+
+        // Nationality (positions 10-13 in line 2)
+        const nationality = line2.substring(10, 13).replace(/</g, '').trim();
+
+        // Gender (position 20 in line 2)
+        const gender = line2.charAt(20);
+
+        const fields = extractMRZFields([line1, line2], 'TD3');
+        const dates = extractMRZDates(fields);
+
+        return {
+            first_name: firstName || 'UNKNOWN',
+            last_name: lastName || 'UNKNOWN',
+            id_number: idNumber || 'UNKNOWN',
+            date_of_birth: formatMRZDate(dates.birth),
+            gender: parseGender(gender),
+            expiry_date: formatMRZDate(dates.expiry),
+            nationality: nationality || 'UNKNOWN',
+            document_code: fields.document_code.value,
+            issuing_state: fields.issuing_state.value || 'UNKNOWN',
+            document_number: fields.document_number.value,
+            personal_number: fields.personal_number.value,
+            dates,
+            age: calculateMRZAge(dates.birth),
+            fields,
+            raw_lines: [line1, line2]
+        };
+    } catch (error) {
+        console.error('TD3 parsing error:', error);
+        return null;
+    }
+}
+
+export function parseTD2(lines) {
+    try {
+        if (lines.length < 2) return null;
+
+        const line1 = padLine(lines[0], 36);
+        const line2 = padLine(lines[1], 36);
+
+        const nameSection = line1.substring(5, 36);
+        const nameParts = nameSection.split('<<');
+        let lastName = cleanMRZField(nameParts[0]?.replace(/</g, ' ').trim() || '', 'alpha');
+        let firstName = cleanMRZField(nameParts[1]?.replace(/</g, ' ').trim() || '', 'alpha');
+
+        const idNumber = cleanMRZField(line2.substring(0, 9).replace(/</g, '').trim(), 'numeric');
+        const nationality = line2.substring(10, 13).replace(/</g, '').trim();
+
+        const gender = line2.charAt(20);
+
+        const fields = extractMRZFields([line1, line2], 'TD2');
+        const dates = extractMRZDates(fields);
+
+        return {
+            first_name: firstName || 'UNKNOWN',
+            last_name: lastName || 'UNKNOWN',
+            id_number: idNumber || 'UNKNOWN',
+            date_of_birth: formatMRZDate(dates.birth),
+            gender: parseGender(gender),
+            expiry_date: formatMRZDate(dates.expiry),
+            nationality: nationality || 'UNKNOWN',
+            document_code: fields.document_code.value,
+            issuing_state: fields.issuing_state.value || 'UNKNOWN',
+            document_number: fields.document_number.value,
+            optional_data: fields.optional_data.value,
+            dates,
+            age: calculateMRZAge(dates.birth),
+            fields,
+            raw_lines: [line1, line2]
+        };
+    } catch (error) {
+        console.error('TD2 parsing error:', error);
+        return null;
+    }
+}
+
+// Machine-readable visas: MRV-A is 2x44, MRV-B is 2x36. Line 2 follows
+// the TD3 layout up to the expiry check digit, then optional data runs
+// to the end of the line with no composite check.
+export function parseMRV(lines, format) {
+    try {
+        if (lines.length < 2) return null;
+
+        const length = format === 'MRV-A' ? 44 : 36;
+        const line1 = padLine(lines[0], length);
+        const line2 = padLine(lines[1], length);
+
+        if (line1.charAt(0) !== 'V') return null;
+
+        const nameParts = line1.substring(5, length).split('<<');
+        const lastName = cleanMRZField(nameParts[0]?.replace(/</g, ' ').trim() || '', 'alpha');
+        const firstName = cleanMRZField(nameParts[1]?.replace(/</g, ' ').trim() || '', 'alpha');
+
+        const fields = extractMRZFields([line1, line2], format);
+
+        const dates = extractMRZDates(fields);
+
+        return {
+            first_name: firstName || 'UNKNOWN',
+            last_name: lastName || 'UNKNOWN',
+            id_number: fields.document_number.value || 'UNKNOWN',
+            date_of_birth: formatMRZDate(dates.birth),
+            gender: parseGender(fields.sex.raw),
+            expiry_date: formatMRZDate(dates.expiry),
+            nationality: fields.nationality.value || 'UNKNOWN',
+            document_code: fields.document_code.value,
+            issuing_state: fields.issuing_state.value || 'UNKNOWN',
+            document_number: fields.document_number.value,
+            optional_data: fields.optional_data.value,
+            dates,
+            age: calculateMRZAge(dates.birth),
+            fields,
+            raw_lines: [line1, line2]
+        };
+    } catch (error) {
+        console.error(`${format} parsing error:`, error);
+        return null;
+    }
+}
+
+// ==================== National Layout Variants ====================
+
+export function getLayoutVariant(id) {
+    return MRZ_LAYOUT_VARIANTS.find(v => v.id === id) || null;
+}
+
+// Pick a national layout from the document code and issuing state that
+// open line 1, e.g. "IDFRA" for the pre-2021 French CNI
+export function findLayoutVariant(lines) {
+    const first = lines[0] || '';
+    return MRZ_LAYOUT_VARIANTS.find(v =>
+        lines.length >= v.lineCount &&
+        Math.abs(first.length - v.lineLength) <= 4 &&
+        first.startsWith(v.documentCode.padEnd(2, '<') + v.issuingState)
+    ) || null;
+}
+
+// Parse a national layout variant into the same shape as the ICAO parsers.
+// Names come either as one ICAO-style 'name' field or as separate
+// 'surname' and 'given_names' fields.
+export function parseLayoutVariant(lines, variant) {
+    try {
+        if (lines.length < variant.lineCount) return null;
+
+        const padded = lines.slice(0, variant.lineCount).map(l => padLine(l, variant.lineLength));
+        const fields = extractMRZFields(padded, variant.id);
+
+        let lastName = '';
+        let firstName = '';
+        if (fields.name) {
+            const nameParts = fields.name.raw.split('<<');
+            lastName = nameParts[0]?.replace(/</g, ' ').trim() || '';
+            firstName = nameParts[1]?.replace(/</g, ' ').trim() || '';
+        } else {
+            lastName = (fields.surname?.raw || '').replace(/</g, ' ').trim().replace(/\s+/g, ' ');
+            firstName = (fields.given_names?.raw || '').split(/<+/).filter(Boolean).join(' ');
+        }
+
+        const dates = extractMRZDates(fields);
+        const defaults = variant.defaults || {};
+
+        return {
+            first_name: cleanMRZField(firstName, 'alpha') || 'UNKNOWN',
+            last_name: cleanMRZField(lastName, 'alpha') || 'UNKNOWN',
+            id_number: fields.document_number?.value || 'UNKNOWN',
+            date_of_birth: formatMRZDate(dates.birth),
+            gender: parseGender(fields.sex?.raw),
+            expiry_date: formatMRZDate(dates.expiry),
+            nationality: fields.nationality?.value || defaults.nationality || 'UNKNOWN',
+            document_code: fields.document_code?.value,
+            issuing_state: fields.issuing_state?.value || 'UNKNOWN',
+            document_number: fields.document_number?.value,
+            layout_variant: variant.id,
+            dates,
+            age: calculateMRZAge(dates.birth),
+            fields,
+            raw_lines: padded
+        };
+    } catch (error) {
+        console.error(`${variant.id} parsing error:`, error);
+        return null;
+    }
+}
+
+// ==================== MRZ Helpers ====================
+
+function padLine(line, length) {
+    return (line || '').padEnd(length, '<').substring(0, length);
+}
+
+// ICAO 9303 field positions per format (0-based, end-exclusive)
+export function getMRZFieldLayout(format) {
+    const layouts = {
+        TD1: [
+            { name: 'document_code', line: 0, start: 0, end: 2 },
+            { name: 'issuing_state', line: 0, start: 2, end: 5 },
+            { name: 'document_number', line: 0, start: 5, end: 14 },
+            { name: 'document_number_check', line: 0, start: 14, end: 15, kind: 'check' },
+            { name: 'optional_data_1', line: 0, start: 15, end: 30 },
+            { name: 'date_of_birth', line: 1, start: 0, end: 6, kind: 'date' },
+            { name: 'date_of_birth_check', line: 1, start: 6, end: 7, kind: 'check' },
+            { name: 'sex', line: 1, start: 7, end: 8, kind: 'raw' },
+            { name: 'expiry_date', line: 1, start: 8, end: 14, kind: 'date' },
+            { name: 'expiry_date_check', line: 1, start: 14, end: 15, kind: 'check' },
+            { name: 'nationality', line: 1, start: 15, end: 18 },
+            { name: 'optional_data_2', line: 1, start: 18, end: 29 },
+            { name: 'composite_check', line: 1, start: 29, end: 30, kind: 'check' },
+            { name: 'name', line: 2, start: 0, end: 30, kind: 'name' }
+        ],
+        TD2: [
+            { name: 'document_code', line: 0, start: 0, end: 2 },
+            { name: 'issuing_state', line: 0, start: 2, end: 5 },
+            { name: 'name', line: 0, start: 5, end: 36, kind: 'name' },
+            { name: 'document_number', line: 1, start: 0, end: 9 },
+            { name: 'document_number_check', line: 1, start: 9, end: 10, kind: 'check' },
+            { name: 'nationality', line: 1, start: 10, end: 13 },
+            { name: 'date_of_birth', line: 1, start: 13, end: 19, kind: 'date' },
+            { name: 'date_of_birth_check', line: 1, start: 19, end: 20, kind: 'check' },
+            { name: 'sex', line: 1, start: 20, end: 21, kind: 'raw' },
+            { name: 'expiry_date', line: 1, start: 21, end: 27, kind: 'date' },
+            { name: 'expiry_date_check', line: 1, start: 27, end: 28, kind: 'check' },
+            { name: 'optional_data', line: 1, start: 28, end: 35 },
+            { name: 'composite_check', line: 1, start: 35, end: 36, kind: 'check' }
+        ],
+        TD3: [
+            { name: 'document_code', line: 0, start: 0, end: 2 },
+            { name: 'issuing_state', line: 0, start: 2, end: 5 },
+            { name: 'name', line: 0, start: 5, end: 44, kind: 'name' },
+            { name: 'document_number', line: 1, start: 0, end: 9 },
+            { name: 'document_number_check', line: 1, start: 9, end: 10, kind: 'check' },
+            { name: 'nationality', line: 1, start: 10, end: 13 },
+            { name: 'date_of_birth', line: 1, start: 13, end: 19, kind: 'date' },
+            { name: 'date_of_birth_check', line: 1, start: 19, end: 20, kind: 'check' },
+            { name: 'sex', line: 1, start: 20, end: 21, kind: 'raw' },
+            { name: 'expiry_date', line: 1, start: 21, end: 27, kind: 'date' },
+            { name: 'expiry_date_check', line: 1, start: 27, end: 28, kind: 'check' },
+            { name: 'personal_number', line: 1, start: 28, end: 42 },
+            { name: 'personal_number_check', line: 1, start: 42, end: 43, kind: 'check' },
+            { name: 'composite_check', line: 1, start: 43, end: 44, kind: 'check' }
+        ]
+    };
+
+    // Visas: line 1 is laid out like TD3/TD2, line 2 ends in optional data
+    ['MRV-A', 'MRV-B'].forEach(visa => {
+        const length = visa === 'MRV-A' ? 44 : 36;
+        layouts[visa] = [
+            ...layouts.TD3.filter(f => f.line === 0).map(f => f.name === 'name' ? { ...f, end: length } : f),
+            ...layouts.TD3.filter(f => f.line === 1 && f.end <= 28),
+            { name: 'optional_data', line: 1, start: 28, end: length }
+        ];
+    });
+
+    return layouts[format] || getLayoutVariant(format)?.fields || [];
+}
+
+// Every ICAO field of the MRZ with its raw characters and position.
+// Text fields have fillers stripped; names keep their '<<' separators
+// and dates/check digits stay raw for the dedicated parsers.
+export function extractMRZFields(lines, format) {
+    const fields = {};
+    getMRZFieldLayout(format).forEach(def => {
+        const raw = (lines[def.line] || '').substring(def.start, def.end);
+        let value;
+        if (def.kind === 'name') {
+            value = raw.replace(/<+$/, '');
+        } else if (def.kind === 'date' || def.kind === 'check' || def.kind === 'raw') {
+            value = raw;
+        } else {
+            value = raw.replace(/</g, ' ').trim().replace(/\s+/g, ' ');
+        }
+        fields[def.name] = { value, raw, line: def.line, start: def.start, end: def.end };
+    });
+    return fields;
+}
+
+// A single date on its own. The century comes from the same rules as
+// resolveMRZDates, without the other dates of the document to lean on.
+export function parseMRZDate(dateStr, context) {
+    const key = { birth: 'birth', expiry: 'expiry', issue: 'issue' }[context] || 'birth';
+    return formatMRZDate(resolveMRZDates({ [key]: dateStr })[key]);
+}
+
+// Resolve every date field of a parsed MRZ together, letting the ones
+// whose check digit passed decide the century of the others
+function extractMRZDates(fields) {
+    const input = field => {
+        if (!fields[field]) return undefined;
+        const check = fields[`${field}_check`];
+        const checkValue = check ? readMRZCheckChar(check.raw) : null;
+        return {
+            raw: fields[field].raw,
+            verified: checkValue === null ? null : calculateMRZCheckDigit(fields[field].raw) === checkValue
+        };
+    };
+    return resolveMRZDates({
+        birth: input('date_of_birth'),
+        expiry: input('expiry_date'),
+        issue: input('issue_date')
+    });
+}
+
+function parseGender(code) {
+    if (code === 'M' || code === 'm') return 'M';
+    if (code === 'F' || code === 'f') return 'F';
+    return 'X';
+}
+
+// ==================== MRZ Checksum Validation ====================
+
+export function calculateMRZCheckDigit(input) {
+    const weights = [7, 3, 1];
+    const charValues = {
+        '<': 0, '0': 0, '1': 1, '2': 2, '3': 3, '4': 4,
+        '5': 5, '6': 6, '7': 7, '8': 8, '9': 9,
+        'A': 10, 'B': 11, 'C': 12, 'D': 13, 'E': 14, 'F': 15,
+        'G': 16, 'H': 17, 'I': 18, 'J': 19, 'K': 20, 'L': 21,
+        'M': 22, 'N': 23, 'O': 24, 'P': 25, 'Q': 26, 'R': 27,
+        'S': 28, 'T': 29, 'U': 30, 'V': 31, 'W': 32, 'X': 33,
+        'Y': 34, 'Z': 35
+    };
+
+    let sum = 0;
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        const value = charValues[char] !== undefined ? charValues[char] : 0;
+        const weight = weights[i % 3];
+        sum += value * weight;
+    }
+
+    return sum % 10;
+}
+
+// Check-digit-protected fields per format. Positions are 0-based,
+// end-exclusive, and `check` is the position of the check digit.
+export function getMRZCheckFields(format) {
+    const fields = {
+        TD1: [
+            // Numbers longer than nine characters continue into optional
+            // data 1 after a filler at 14, with their check digit at the end
+            { name: 'document_number', line: 0, start: 5, end: 14, check: 14, type: 'alphanumeric',
+              overflow: { line: 0, start: 15, end: 30 } },
+            { name: 'date_of_birth', line: 1, start: 0, end: 6, check: 6, type: 'numeric' },
+            { name: 'expiry_date', line: 1, start: 8, end: 14, check: 14, type: 'numeric' },
+            { name: 'composite', line: 1, check: 29, composite: true,
+              segments: [[0, 5, 30], [1, 0, 7], [1, 8, 15], [1, 18, 29]] }
+        ],
+        TD2: [
+            { name: 'document_number', line: 1, start: 0, end: 9, check: 9, type: 'alphanumeric' },
+            { name: 'date_of_birth', line: 1, start: 13, end: 19, check: 19, type: 'numeric' },
+            { name: 'expiry_date', line: 1, start: 21, end: 27, check: 27, type: 'numeric' },
+            { name: 'composite', line: 1, check: 35, composite: true,
+              segments: [[1, 0, 10], [1, 13, 20], [1, 21, 35]] }
+        ],
+        TD3: [
+            { name: 'document_number', line: 1, start: 0, end: 9, check: 9, type: 'alphanumeric' },
+            { name: 'date_of_birth', line: 1, start: 13, end: 19, check: 19, type: 'numeric' },
+            { name: 'expiry_date', line: 1, start: 21, end: 27, check: 27, type: 'numeric' },
+            // May be '<' when the personal number is all fillers
+            { name: 'personal_number', line: 1, start: 28, end: 42, check: 42, type: 'alphanumeric' },
+            { name: 'composite', line: 1, check: 43, composite: true,
+              segments: [[1, 0, 10], [1, 13, 20], [1, 21, 43]] }
+        ]
+    };
+    // Visas carry no composite check digit
+    fields['MRV-A'] = fields.TD2.filter(f => !f.composite);
+    fields['MRV-B'] = fields['MRV-A'];
+    return fields[format] || getLayoutVariant(format)?.checks || [];
+}
+
+// Where a check digit and the data it covers sit in these particular
+// lines: `segments` lists the covered ranges. A TD1 document number that
+// overflows into optional data 1 ends at its own check digit, the last
+// character before the fillers.
+function locateMRZCheckField(field, lines) {
+    const line = lines[field.line] || '';
+    if (field.composite) {
+        return { line: field.line, check: field.check, segments: field.segments, overflowed: false };
+    }
+    if (field.overflow && line.charAt(field.check) === '<') {
+        const { line: extLine, start, end } = field.overflow;
+        const extension = (lines[extLine] || '').substring(start, end).replace(/<.*$/, '');
+        if (extension.length >= 2) {
+            return {
+                line: extLine,
+                check: start + extension.length - 1,
+                segments: [[field.line, field.start, field.end], [extLine, start, start + extension.length - 1]],
+                overflowed: true
+            };
+        }
+    }
+    return { line: field.line, check: field.check, segments: [[field.line, field.start, field.end]], overflowed: false };
+}
+
+// OCR-B characters Tesseract commonly reads as one another. Only
+// digit/letter swaps are listed: those are what the check digit can settle.
+function getMRZConfusables(char, fieldType) {
+    const confusions = {
+        '0': ['O', 'D', 'Q'], 'O': ['0'], 'D': ['0'], 'Q': ['0'],
+        '1': ['I', 'L'], 'I': ['1'], 'L': ['1'],
+        '2': ['Z'], 'Z': ['2'],
+        '5': ['S'], 'S': ['5'],
+        '6': ['G'], 'G': ['6'],
+        '8': ['B'], 'B': ['8']
+    };
+    const alternatives = confusions[char] || [];
+    return fieldType === 'numeric' ? alternatives.filter(c => /[0-9]/.test(c)) : alternatives;
+}
+
+// Numeric value of a check character, or null if it cannot be one
+function readMRZCheckChar(char) {
+    if (/[0-9]/.test(char)) return parseInt(char);
+    if (char === '<') return 0;
+    return null;
+}
+
+// Enumerate readings of a field that satisfy its check digit, cheapest first.
+// Letters in numeric fields are always replaced; other swaps are limited to
+// maxChanges so a single check digit is not asked to arbitrate too many guesses.
+function findChecksumCandidates(value, checkChar, fieldType, maxChanges = 2) {
+    const forced = [];
+    const optional = [];
+    let base = value.split('');
+
+    base.forEach((char, index) => {
+        const alternatives = getMRZConfusables(char, fieldType);
+        if (fieldType === 'numeric' && /[A-Z]/.test(char)) {
+            if (alternatives.length > 0) forced.push({ index, from: char, to: alternatives[0] });
+        } else if (alternatives.length > 0) {
+            optional.push({ index, alternatives });
+        }
+    });
+    forced.forEach(f => { base[f.index] = f.to; });
+
+    // The check character itself may be a misread digit
+    let checkChange = null;
+    let checkValue = readMRZCheckChar(checkChar);
+    if (checkValue === null) {
+        const digit = getMRZConfusables(checkChar, 'numeric')[0];
+        if (digit === undefined) return [];
+        checkValue = parseInt(digit);
+        checkChange = { from: checkChar, to: digit };
+    }
+
+    // A reading that already passes is kept as-is
+    if (calculateMRZCheckDigit(base.join('')) === checkValue) {
+        return [{ value: base.join(''), changes: forced, cost: forced.length + (checkChange ? 1 : 0), checkChange }];
+    }
+
+    // Each swap costs 1, and every character left outside the field's
+    // dominant class (a letter in a mostly-numeric number) costs 0.6, so
+    // readings that settle stray letters into digits rank first
+    const digitCount = value.replace(/[^0-9]/g, '').length;
+    const letterCount = value.replace(/[^A-Z]/g, '').length;
+    const minority = digitCount >= letterCount ? /[A-Z]/ : /[0-9]/;
+
+    const candidates = [];
+    const visit = (start, chars, changes) => {
+        if (calculateMRZCheckDigit(chars.join('')) === checkValue) {
+            const cost = changes.length + 0.6 * chars.filter(c => minority.test(c)).length;
+            candidates.push({ value: chars.join(''), changes: [...changes], cost });
+        }
+        if (changes.length >= maxChanges) return;
+        for (let i = start; i < optional.length; i++) {
+            const { index, alternatives } = optional[i];
+            for (const alt of alternatives) {
+                const next = [...chars];
+                next[index] = alt;
+                visit(i + 1, next, [...changes, { index, from: chars[index], to: alt }]);
+            }
+        }
+    };
+    visit(0, base, []);
+
+    return candidates
+        .map(c => ({
+            ...c,
+            changes: [...forced, ...c.changes],
+            cost: c.cost + forced.length + (checkChange ? 1 : 0),
+            checkChange
+        }))
+        .sort((a, b) => a.cost - b.cost);
+}
+
+// Search for the most likely MRZ whose check digits all pass, starting from
+// the OCR reading. Returns the repaired lines and every character changed.
+export function correctMRZWithChecksums(lines, format) {
+    const fields = getMRZCheckFields(format);
+    const result = { lines: [...lines], corrections: [], unresolved: [] };
+    if (fields.length === 0) return result;
+
+    const composite = fields.find(f => f.composite);
+    const options = [];
+
+    // Repairs to a date field must leave a real calendar date
+    const dateFields = getMRZFieldLayout(format).filter(f => f.kind === 'date').map(f => f.name);
+
+    // An overflowing document number is left to the composite to vouch for
+    const repairable = fields.filter(f => !f.composite && !locateMRZCheckField(f, lines).overflowed);
+
+    for (const field of repairable) {
+        const line = lines[field.line] || '';
+        const value = line.substring(field.start, field.end);
+        const checkChar = line.charAt(field.check);
+        let candidates = findChecksumCandidates(value, checkChar, field.type);
+        if (dateFields.includes(field.name)) {
+            candidates = candidates.filter(c => isValidMRZDate(c.value));
+        }
+        options.push({ field, candidates });
+    }
+
+    const applyChoice = (workLines, field, candidate) => {
+        const chars = workLines[field.line].split('');
+        candidate.changes.forEach(c => { chars[field.start + c.index] = c.to; });
+        if (candidate.checkChange) chars[field.check] = candidate.checkChange.to;
+        workLines[field.line] = chars.join('');
+    };
+
+    const compositePasses = (workLines) => {
+        const data = composite.segments.map(([l, s, e]) => workLines[l].substring(s, e)).join('');
+        const checkChar = workLines[composite.line].charAt(composite.check);
+        const checkValue = readMRZCheckChar(checkChar)
+            ?? parseInt(getMRZConfusables(checkChar, 'numeric')[0]);
+        return calculateMRZCheckDigit(data) === checkValue;
+    };
+
+    // Fields nothing can fix keep their OCR reading
+    const choices = options.map(o => o.candidates.length > 0 ? o.candidates.slice(0, 8) : [null]);
+    let chosen = null;
+
+    if (composite) {
+        // Try every combination of field readings and keep the cheapest
+        // one the composite check digit agrees with
+        const combos = choices.reduce((acc, list) =>
+            acc.flatMap(prefix => list.map(item => [...prefix, item])), [[]]);
+        const passing = combos.map(combo => {
+            const workLines = [...lines];
+            combo.forEach((candidate, i) => {
+                if (candidate) applyChoice(workLines, options[i].field, candidate);
+            });
+            const cost = combo.reduce((sum, c) => sum + (c ? c.cost : 0), 0);
+            return { combo, cost, ok: compositePasses(workLines) };
+        }).filter(c => c.ok).sort((a, b) => a.cost - b.cost);
+
+        if (passing.length > 0 && (passing.length === 1 || passing[0].cost < passing[1].cost)) {
+            chosen = passing[0].combo;
+        }
+    }
+
+    if (!chosen) {
+        // No composite to arbitrate: only accept a field's repair when one
+        // reading is clearly cheaper than the rest
+        chosen = options.map(({ candidates }) => {
+            if (candidates.length === 0) return null;
+            if (candidates.length === 1 || candidates[0].cost < candidates[1].cost) return candidates[0];
+            return null;
+        });
+    }
+
+    chosen.forEach((candidate, i) => {
+        const { field } = options[i];
+        if (!candidate) {
+            result.unresolved.push(field.name);
+            return;
+        }
+        applyChoice(result.lines, field, candidate);
+        candidate.changes.forEach(c => result.corrections.push({
+            field: field.name, line: field.line, position: field.start + c.index, from: c.from, to: c.to
+        }));
+        if (candidate.checkChange) {
+            result.corrections.push({
+                field: field.name, line: field.line, position: field.check,
+                from: candidate.checkChange.from, to: candidate.checkChange.to
+            });
+        }
+    });
+
+    // A letter in the composite check position is the last thing to repair
+    if (composite) {
+        const checkChar = result.lines[composite.line].charAt(composite.check);
+        const digit = readMRZCheckChar(checkChar) === null
+            ? getMRZConfusables(checkChar, 'numeric')[0] : undefined;
+        if (digit !== undefined) {
+            const chars = result.lines[composite.line].split('');
+            chars[composite.check] = digit;
+            result.lines[composite.line] = chars.join('');
+            result.corrections.push({
+                field: composite.name, line: composite.line, position: composite.check, from: checkChar, to: digit
+            });
+        }
+        if (!compositePasses(result.lines)) result.unresolved.push(composite.name);
+    }
+
+    return result;
+}
+
+// One report entry per check digit of the format: where it is, the digit
+// the data calls for, the character actually printed, and whether it
+// passes, fails or cannot be a check digit at all. `warnings` keeps the
+// one-line summaries for display.
+export function validateMRZChecksums(data, lines, documentType) {
+    const validation = {
+        valid: true,
+        errors: [],
+        warnings: [],
+        report: []
+    };
+
+    try {
+        getMRZCheckFields(documentType).forEach(field => {
+            const location = locateMRZCheckField(field, lines);
+            const value = location.segments.map(([l, s, e]) => (lines[l] || '').substring(s, e)).join('');
+            const actual = (lines[location.line] || '').charAt(location.check);
+            const expected = calculateMRZCheckDigit(value);
+            const checkValue = readMRZCheckChar(actual);
+
+            let status = 'pass';
+            if (checkValue === null) status = 'unreadable';
+            else if (checkValue !== expected) status = 'fail';
+
+            validation.report.push({
+                field: field.name,
+                line: location.line,
+                position: location.check,
+                segments: location.segments,
+                expected,
+                actual,
+                status
+            });
+
+            const label = describeCheckField(field.name);
+            if (status === 'fail') {
+                validation.warnings.push(`${label} checksum mismatch (expected ${expected}, got ${actual})`);
+            } else if (status === 'unreadable') {
+                validation.warnings.push(`${label} check digit unreadable ("${actual || ' '}", expected ${expected})`);
+            }
+        });
+    } catch (error) {
+        validation.warnings.push('Could not validate checksums: ' + error.message);
+    }
+
+    validation.valid = validation.report.every(entry => entry.status === 'pass');
+    return validation;
+}
+
+function describeCheckField(name) {
+    const label = name.replace(/_/g, ' ');
+    return label.charAt(0).toUpperCase() + label.slice(1);
+}
+
+// ==================== Country Codes ====================
+
+// Look up a three-letter ICAO code, suggesting registered codes it may be
+// an OCR misread of when it is unknown
+export function lookupCountryCode(code) {
+    const key = (code || '').toUpperCase().replace(/\s/g, '<').padEnd(3, '<').substring(0, 3);
+    const name = ICAO_COUNTRY_CODES[key];
+    if (name) {
+        return { code: key.replace(/</g, ''), valid: true, name, suggestions: [] };
+    }
+
+    // Visually similar letters OCR-B is prone to swap, on top of the
+    // digit/letter confusions used for check-digit repair
+    const letterConfusions = {
+        'O': ['D', 'Q'], 'D': ['O'], 'Q': ['O'], 'V': ['W', 'Y', 'U'], 'W': ['V'],
+        'U': ['V'], 'E': ['F'], 'F': ['E'], 'P': ['R'], 'R': ['P'],
+        'M': ['N'], 'N': ['M', 'H'], 'H': ['N'], 'C': ['G'], 'G': ['C']
+    };
+    const alternativesFor = (char) => {
+        // A filler inside a code is usually a dropped character
+        if (char === '<') return 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('');
+        const alternatives = [
+            ...getMRZConfusables(char, 'alphanumeric'),
+            ...(letterConfusions[char] || [])
+        ];
+        return alternatives.filter(c => /[A-Z]/.test(c));
+    };
+
+    const suggestions = new Set();
+    const chars = key.split('');
+    chars.forEach((char, i) => {
+        alternativesFor(char).forEach(alt => {
+            const once = [...chars];
+            once[i] = alt;
+            if (ICAO_COUNTRY_CODES[once.join('')]) suggestions.add(once.join(''));
+
+            // Two misread characters in one code
+            for (let j = i + 1; j < chars.length; j++) {
+                alternativesFor(chars[j]).forEach(alt2 => {
+                    const twice = [...once];
+                    twice[j] = alt2;
+                    if (ICAO_COUNTRY_CODES[twice.join('')] && chars[j] !== '<') suggestions.add(twice.join(''));
+                });
+            }
+        });
+    });
+
+    return {
+        code: key.replace(/</g, ''),
+        valid: false,
+        name: null,
+        suggestions: [...suggestions].slice(0, 3).map(s => ({ code: s.replace(/</g, ''), name: ICAO_COUNTRY_CODES[s] }))
+    };
+}
+
+// Validate nationality and issuing state against the ICAO registry
+export function checkMRZCountryCodes(parsedData) {
+    const fields = parsedData.fields || {};
+    return {
+        nationality: lookupCountryCode(fields.nationality?.raw ?? parsedData.nationality),
+        issuing_state: lookupCountryCode(fields.issuing_state?.raw ?? parsedData.issuing_state)
+    };
+}
+
+export function describeCountryCheck(check) {
+    if (check.valid) return check.name;
+    const hint = check.suggestions.length > 0
+        ? ` - did you mean ${check.suggestions.map(s => `${s.code} (${s.name})`).join(' or ')}?`
+        : '';
+    return `Unknown code${hint}`;
+}
+
+// How much each check digit counts towards the quality score. The composite
+// covers the whole MRZ, so its failure matters most.
+const CHECK_DIGIT_WEIGHTS = {
+    composite: 4,
+    document_number: 3,
+    date_of_birth: 2,
+    expiry_date: 1,
+    personal_number: 1
+};
+
+export function calculateMRZQuality(parsedData, lines, documentType, checksumValidation) {
+    let score = 0;
+    const maxScore = 100;
+    const issues = [];
+
+    // 1. Text length match (20 points)
+    const expectedLengths = { 'TD1': 90, 'TD2': 72, 'TD3': 88, 'MRV-A': 88, 'MRV-B': 72 };
+    const totalLength = lines.join('').length;
+    const format = documentType.split(' ')[0];
+    const variant = getLayoutVariant(format);
+    const expectedLength = expectedLengths[format] || (variant ? variant.lineCount * variant.lineLength : 90);
+    const lengthDiff = Math.abs(totalLength - expectedLength);
+
+    if (lengthDiff === 0) {
+        score += 20;
+    } else if (lengthDiff <= 5) {
+        score += 15;
+        issues.push('Minor length mismatch');
+    } else if (lengthDiff <= 10) {
+        score += 10;
+        issues.push('Moderate length mismatch');
+    } else {
+        issues.push('Significant length mismatch');
+    }
+
+    // 2. Checksum validation (30 points), weighted by what each check digit
+    // protects. Unreadable digits earn half: they neither confirm nor refute.
+    const report = checksumValidation.report || [];
+    const weightOf = entry => CHECK_DIGIT_WEIGHTS[entry.field] || 1;
+    const totalWeight = report.reduce((sum, entry) => sum + weightOf(entry), 0);
+    const earnedWeight = report.reduce((sum, entry) =>
+        sum + (entry.status === 'pass' ? weightOf(entry) : (entry.status === 'unreadable' ? weightOf(entry) / 2 : 0)), 0);
+    score += totalWeight > 0 ? Math.round(30 * earnedWeight / totalWeight) : 30;
+    report.filter(entry => entry.status !== 'pass').forEach(entry => {
+        issues.push(`${describeCheckField(entry.field)} check digit ${entry.status === 'fail' ? 'failed' : 'unreadable'}`);
+    });
+
+    // Characters repaired via check digits are trusted, but worth surfacing
+    const corrections = parsedData.corrections || [];
+    if (corrections.length > 0) {
+        issues.push(`${corrections.length} character${corrections.length === 1 ? '' : 's'} corrected via check digits`);
+    }
+
+    // A name that fills its field to the last character was probably cut off
+    if (parsedData.name_truncated) {
+        issues.push('Name may be truncated');
+    }
+
+    // 3. Field completeness (30 points)
+    const requiredFields = ['first_name', 'last_name', 'id_number', 'date_of_birth'];
+    const missingFields = requiredFields.filter(f =>
+        !parsedData[f] || parsedData[f] === 'UNKNOWN'
+    );
+
+    if (missingFields.length === 0) {
+        score += 30;
+    } else if (missingFields.length === 1) {
+        score += 20;
+        issues.push(`Missing: ${missingFields[0]}`);
+    } else {
+        score += 10;
+        issues.push(`Missing ${missingFields.length} fields`);
+    }
+
+    // 4. Character plausibility (20 points)
+    const nameHasNumbers = /\d/.test(parsedData.first_name + parsedData.last_name);
+    const idHasLetters = /[A-Z]/.test(parsedData.id_number || '');
+
+    const countryChecks = parsedData.country_checks || {};
+    const unknownCountries = Object.entries(countryChecks).filter(([, check]) => !check.valid);
+
+    // Dates that are not on the calendar, or put the holder past any
+    // plausible age, are misreads; partial dates are legitimate but noted
+    const dateLabels = { birth: 'Date of birth', expiry: 'Expiry date', issue: 'Issue date' };
+    const badDates = Object.entries(parsedData.dates || {})
+        .filter(([, date]) => (!date.valid && /[^<]/.test(date.raw)) || (date.valid && !date.plausible));
+
+    // Fields OCR was unsure of. A passing check digit vouches for the
+    // characters, so those are only noted; an unprotected field such as the
+    // name counts as a doubtful reading.
+    const passedChecks = (checksumValidation.report || []).filter(e => e.status === 'pass').map(e => e.field);
+    const lowConfidenceFields = Object.entries(parsedData.field_confidence || {})
+        .filter(([name, conf]) => !name.endsWith('_check') && conf.confidence !== null &&
+            conf.confidence < LOW_CONFIDENCE_THRESHOLD && /[^<]/.test(parsedData.fields[name]?.raw || ''))
+        .map(([name, conf]) => ({ field: name, confidence: conf.confidence, checked: passedChecks.includes(name) }));
+    const unconfirmedLowConfidence = lowConfidenceFields.some(f => !f.checked);
+
+    const implausible = [
+        nameHasNumbers, idHasLetters, unknownCountries.length > 0, badDates.length > 0, unconfirmedLowConfidence
+    ].filter(Boolean).length;
+
+    if (implausible === 0) {
+        score += 20;
+    } else if (implausible === 1) {
+        score += 10;
+    }
+    if (nameHasNumbers) issues.push('Name contains numbers');
+    if (idHasLetters) issues.push('ID contains letters');
+    unknownCountries.forEach(([field, check]) => {
+        const suggestion = check.suggestions.length > 0 ? ` (did you mean ${check.suggestions.map(s => s.code).join(' or ')}?)` : '';
+        issues.push(`Unknown ${field.replace('_', ' ')} code "${check.code}"${suggestion}`);
+    });
+    badDates.forEach(([key, date]) => {
+        issues.push(`${dateLabels[key]} ${date.valid ? 'is implausible' : 'is not a real date'} ("${date.raw}")`);
+    });
+    Object.entries(parsedData.dates || {})
+        .filter(([key, date]) => key !== 'issue' && date.valid && date.partial)
+        .forEach(([key, date]) => issues.push(`${dateLabels[key]} is partial (${date.iso})`));
+    lowConfidenceFields.forEach(f => {
+        issues.push(`Low OCR confidence in ${f.field.replace(/_/g, ' ')} (${f.confidence}%)` +
+            (f.checked ? ', confirmed by check digit' : ''));
+    });
+
+    // Omang inconsistencies point to a misread or forged card, so they cost
+    // the plausibility points outright and keep the rating below High
+    const omangCheck = parsedData.omang_check;
+    const omangMismatch = Boolean(omangCheck && omangCheck.applicable && !omangCheck.consistent);
+    if (omangMismatch) {
+        score -= implausible === 0 ? 20 : (implausible === 1 ? 10 : 0);
+        omangCheck.errors.forEach(error => issues.push(error));
+    }
+
+    // Determine quality level using design system colors
+    let quality = 'Low';
+    let qualityColor = 'var(--color-error)';
+
+    if (score >= 80 && !omangMismatch) {
+        quality = 'High';
+        qualityColor = 'var(--color-success)';
+    } else if (score >= 60) {
+        quality = 'Medium';
+        qualityColor = 'var(--color-warning)';
+    }
+
+    return {
+        score, maxScore,
+        percentage: Math.round((score / maxScore) * 100),
+        quality, qualityColor, issues, lowConfidenceFields
+    };
+}
+
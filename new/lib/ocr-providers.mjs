@@ -0,0 +1,182 @@
+// OCR providers. Everything that reads text from an image goes through one
+// interface, so a page can use the in-browser Tesseract workers or a remote
+// OCR service, chosen at runtime from ocr.json:
+//
+//   provider.recognize(image, options) -> { text, lines, symbols, confidence }
+//
+// `image` is a canvas or a data URL. Options are hints a provider may
+// ignore: { psm, whitelist, language, onProgress(0..1) }. `lines` has the
+// collectOCRLines shape (empty when the engine gives no per-character
+// data), `symbols` holds every symbol of those lines in order and
+// `confidence` is 0-100, or null when the engine does not report one.
+
+import { collectOCRLines } from './mrz-confidence.mjs';
+
+export const DEFAULT_OCR_CONFIG = {
+    // 'tesseract' (in the browser) or 'http' (remote service)
+    provider: 'tesseract',
+    http: {
+        endpoint: '',
+        // 'json': this app's own protocol (see tools/mock-ocr-server.mjs)
+        // 'ocrspace': the OCR.space parse/image API
+        format: 'json',
+        // Sent as a bearer token ('json') or the apikey field ('ocrspace').
+        // Anything here is readable by every visitor; for a paid service
+        // point the endpoint at a proxy that adds the key server-side.
+        apiKey: '',
+        // Extra request headers, and extra fields for the request body
+        headers: {},
+        fields: {},
+        imageType: 'image/jpeg',
+        imageQuality: 0.92,
+        timeout: 30000
+    }
+};
+
+export const OCR_PROVIDERS = ['tesseract', 'http'];
+const HTTP_FORMATS = ['json', 'ocrspace'];
+
+// Fill in anything an OCR config leaves out from the defaults. Throws when
+// the provider is unknown, or the HTTP provider has no endpoint or, for
+// OCR.space, which refuses every request without one, no API key.
+export function normalizeOCRConfig(config) {
+    const ocr = { ...DEFAULT_OCR_CONFIG, ...(config || {}) };
+    ocr.http = { ...DEFAULT_OCR_CONFIG.http, ...((config || {}).http || {}) };
+
+    if (!OCR_PROVIDERS.includes(ocr.provider)) {
+        throw new Error(`Unknown OCR provider "${ocr.provider}" (expected ${OCR_PROVIDERS.join(' or ')})`);
+    }
+    if (!HTTP_FORMATS.includes(ocr.http.format)) {
+        throw new Error(`Unknown OCR service format "${ocr.http.format}" (expected ${HTTP_FORMATS.join(' or ')})`);
+    }
+    if (ocr.provider === 'http' && !ocr.http.endpoint) {
+        throw new Error('The http OCR provider needs http.endpoint');
+    }
+    if (ocr.provider === 'http' && ocr.http.format === 'ocrspace' && !ocr.http.apiKey) {
+        throw new Error('OCR key not configured: the OCR.space service needs http.apiKey');
+    }
+    return ocr;
+}
+
+// The provider result for OCR data shaped like Tesseract's (lines, words,
+// symbols); plain text gets one symbol per character at the overall confidence
+function toOCRResult(text, confidence, data) {
+    let lines = data ? collectOCRLines(data) : [];
+    if (lines.length === 0 && confidence !== null && text) {
+        lines = collectOCRLines({
+            lines: text.split(/\r?\n/).map(line => ({
+                words: [{ symbols: [...line].map(char => ({ text: char, confidence, bbox: null })) }]
+            }))
+        });
+    }
+    return { text, lines, symbols: lines.flatMap(line => line.symbols), confidence };
+}
+
+// Tesseract adapter. `recognizeData(image, params, logger)` runs one job
+// and resolves to Tesseract's data object, e.g. on a pooled worker.
+export function createTesseractProvider(recognizeData) {
+    return {
+        name: 'tesseract',
+        supportsWhitelist: true,
+        async recognize(image, options = {}) {
+            const params = {
+                tessedit_pageseg_mode: String(options.psm ?? 6),
+                preserve_interword_spaces: '1',
+                user_defined_dpi: '300',
+                // Workers keep their parameters between jobs, so the whitelist
+                // is always set explicitly (empty allows every character)
+                tessedit_char_whitelist: options.whitelist || ''
+            };
+            const logger = m => {
+                if (m.status === 'recognizing text' && m.progress) options.onProgress?.(m.progress);
+            };
+            const data = await recognizeData(image, params, logger);
+            return toOCRResult(data.text || '', data.confidence ?? 0, data);
+        }
+    };
+}
+
+function imageDataUrl(image, http) {
+    return typeof image === 'string' ? image : image.toDataURL(http.imageType, http.imageQuality);
+}
+
+// Request for the app's JSON protocol:
+//   POST { image: <data URL>, psm, whitelist, language, ...fields }
+//   200  { text, confidence?, lines? | symbols? }   (Tesseract-shaped lines)
+function jsonRequest(http, image, options) {
+    const headers = { 'Content-Type': 'application/json', Accept: 'application/json', ...http.headers };
+    if (http.apiKey) headers.Authorization = `Bearer ${http.apiKey}`;
+    const body = JSON.stringify({
+        image: imageDataUrl(image, http),
+        psm: options.psm ?? null,
+        whitelist: options.whitelist || null,
+        language: options.language || null,
+        ...http.fields
+    });
+    return { headers, body };
+}
+
+function jsonResult(data) {
+    if (typeof data?.text !== 'string') throw new Error('OCR service returned no text');
+    return toOCRResult(data.text, typeof data.confidence === 'number' ? data.confidence : null, data);
+}
+
+// Request and result for the OCR.space parse/image API
+function ocrSpaceRequest(http, image, options) {
+    const body = new FormData();
+    body.append('base64Image', imageDataUrl(image, http));
+    if (http.apiKey) body.append('apikey', http.apiKey);
+    body.append('language', options.language || 'eng');
+    Object.entries(http.fields).forEach(([key, value]) => body.append(key, String(value)));
+    return { headers: { Accept: 'application/json', ...http.headers }, body };
+}
+
+function ocrSpaceResult(data) {
+    if (data.IsErroredOnProcessing) {
+        throw new Error([].concat(data.ErrorMessage || 'OCR service error').join('\n'));
+    }
+    if (!data.ParsedResults?.length) throw new Error('OCR service did not return any results');
+    return toOCRResult(data.ParsedResults[0].ParsedText || '', null, null);
+}
+
+// Remote OCR service adapter. `config` is the `http` section of an OCR
+// config; pass a fetch implementation to use something other than the global.
+export function createHttpOCRProvider(config, fetchImpl = (...args) => globalThis.fetch(...args)) {
+    const http = { ...DEFAULT_OCR_CONFIG.http, ...(config || {}) };
+    if (!http.endpoint) throw new Error('The http OCR provider needs an endpoint');
+    const protocol = http.format === 'ocrspace'
+        ? { request: ocrSpaceRequest, result: ocrSpaceResult }
+        : { request: jsonRequest, result: jsonResult };
+
+    return {
+        name: 'http',
+        supportsWhitelist: false,
+        async recognize(image, options = {}) {
+            const { headers, body } = protocol.request(http, image, options);
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), http.timeout);
+            options.onProgress?.(0);
+            try {
+                const response = await fetchImpl(http.endpoint, { method: 'POST', headers, body, signal: controller.signal });
+                if (!response.ok) throw new Error(`OCR service error: HTTP ${response.status}`);
+                const result = protocol.result(await response.json());
+                options.onProgress?.(1);
+                return result;
+            } catch (error) {
+                if (error.name === 'AbortError') throw new Error(`OCR service did not answer within ${http.timeout / 1000}s`);
+                throw error;
+            } finally {
+                clearTimeout(timer);
+            }
+        }
+    };
+}
+
+// The provider an OCR config asks for. The Tesseract adapter needs the
+// page's `recognizeData` function (see createTesseractProvider).
+export function createOCRProvider(config, { recognizeData, fetch: fetchImpl } = {}) {
+    const ocr = normalizeOCRConfig(config);
+    if (ocr.provider === 'http') return createHttpOCRProvider(ocr.http, fetchImpl);
+    if (!recognizeData) throw new Error('The tesseract OCR provider needs a recognizeData function');
+    return createTesseractProvider(recognizeData);
+}
@@ -0,0 +1,62 @@
+// Botswana national identity card (Omang) rules, cross-checked against the MRZ.
+// An Omang number is nine digits; the fifth digit encodes sex (1 male, 2 female).
+
+const OMANG_GENDER_DIGITS = { '1': 'M', '2': 'F' };
+
+// Validate the shape of an Omang number on its own
+export function validateOmangNumber(number) {
+    const normalized = (number || '').replace(/[\s<-]/g, '');
+    const errors = [];
+
+    if (!/^\d{9}$/.test(normalized)) {
+        errors.push(`Omang number must be 9 digits (got "${normalized}")`);
+        return { valid: false, normalized, gender: null, errors };
+    }
+
+    const gender = OMANG_GENDER_DIGITS[normalized.charAt(4)] || null;
+    if (!gender) {
+        errors.push(`Omang gender digit must be 1 or 2 (got ${normalized.charAt(4)})`);
+    }
+
+    return { valid: errors.length === 0, normalized, gender, errors };
+}
+
+// Cross-check an Omang against the rest of the parsed MRZ. Applies to
+// Botswana-issued identity cards; the number is read from the document
+// number field, or from optional data when the document number holds the
+// card serial instead.
+export function checkOmang(parsedData) {
+    const issuingState = parsedData.issuing_state;
+    const documentCode = parsedData.document_code || '';
+    if (issuingState !== 'BWA' || !documentCode.startsWith('I')) {
+        return { applicable: false, consistent: true, errors: [] };
+    }
+
+    const candidates = [
+        { source: 'document_number', value: parsedData.document_number },
+        { source: 'optional_data_1', value: (parsedData.optional_data_1 || '').match(/\d{9}/)?.[0] }
+    ].filter(c => c.value);
+    const found = candidates.find(c => validateOmangNumber(c.value).valid) || candidates[0];
+    const validation = validateOmangNumber(found?.value);
+    const errors = [...validation.errors];
+
+    // The gender digit must agree with the MRZ sex field
+    const sex = parsedData.fields?.sex?.raw;
+    if (validation.gender && (sex === 'M' || sex === 'F') && validation.gender !== sex) {
+        errors.push(`Omang gender digit indicates ${validation.gender} but MRZ sex is ${sex}`);
+    }
+
+    // Omang cards are only issued to citizens
+    if (parsedData.nationality && parsedData.nationality !== 'BWA') {
+        errors.push(`Omang issued by BWA but nationality is ${parsedData.nationality}`);
+    }
+
+    return {
+        applicable: true,
+        consistent: errors.length === 0,
+        number: validation.normalized,
+        source: found?.source || null,
+        gender: validation.gender,
+        errors
+    };
+}
@@ -0,0 +1,111 @@
+// Document acceptance policy. A policy is plain JSON (see policy.json) and
+// every rule names the action taken when it fails: 'reject' stops the
+// applicant in phase 1, 'flag' lets them continue with the reason recorded.
+
+import { calculateMRZAge, daysSinceMRZDate } from './mrz-dates.mjs';
+import { MRZ_LAYOUT_VARIANTS } from './mrz-layouts.mjs';
+
+export const DEFAULT_POLICY = {
+    // Format keys as returned by parseMRZ (TD1, TD2, TD3, MRV-A, MRV-B, FRA-CNI),
+    // plus AAMVA for cards read from their barcode alone
+    acceptedDocumentTypes: ['TD1', 'TD2', 'TD3', 'MRV-A', 'MRV-B', 'FRA-CNI', 'AAMVA'],
+    // ICAO issuing state codes; empty accepts any
+    acceptedIssuingStates: [],
+    maxDaysPastExpiry: 0,
+    minAge: 18,
+    maxAge: 120,
+    actions: {
+        documentType: 'reject',
+        issuingState: 'reject',
+        expiry: 'reject',
+        age: 'reject',
+        unreadableDate: 'flag',
+        // Front and back look like two different cards (checked in phase 2)
+        cardConsistency: 'flag'
+    }
+};
+
+export const POLICY_ACTIONS = ['accept', 'flag', 'reject'];
+
+// Fill in anything a policy file leaves out from the defaults. Throws on an
+// action that is not one of POLICY_ACTIONS, which would otherwise pass as accept.
+export function normalizePolicy(config) {
+    const policy = { ...DEFAULT_POLICY, ...(config || {}) };
+    policy.actions = { ...DEFAULT_POLICY.actions, ...((config || {}).actions || {}) };
+    Object.entries(policy.actions).forEach(([rule, action]) => {
+        if (!POLICY_ACTIONS.includes(action)) {
+            throw new Error(`Unknown action "${action}" for ${rule} (expected ${POLICY_ACTIONS.join(', ')})`);
+        }
+    });
+    return policy;
+}
+
+// Whether a format's MRZ carries an expiry date; national layouts such as
+// the French CNI do not
+function hasExpiryField(format) {
+    const variant = MRZ_LAYOUT_VARIANTS.find(v => v.id === format);
+    return !variant || variant.fields.some(f => f.name === 'expiry_date');
+}
+
+// Evaluate a parseMRZ result against a policy. The decision is the most
+// severe action among the failed rules.
+export function evaluatePolicy(result, config, today = new Date()) {
+    const policy = normalizePolicy(config);
+    const data = result.data;
+    const reasons = [];
+    const fail = (rule, message) => reasons.push({ rule, action: policy.actions[rule], message });
+
+    if (policy.acceptedDocumentTypes.length > 0 && !policy.acceptedDocumentTypes.includes(result.format)) {
+        fail('documentType', `${result.documentType} documents are not accepted`);
+    }
+
+    if (policy.acceptedIssuingStates.length > 0 && !policy.acceptedIssuingStates.includes(data.issuing_state)) {
+        fail('issuingState', `Documents issued by ${data.issuing_state_name || data.issuing_state} are not accepted`);
+    }
+
+    const checkExpiry = hasExpiryField(result.format);
+    const daysPastExpiry = daysSinceMRZDate(data.dates?.expiry, today);
+    if (checkExpiry && daysPastExpiry === null) {
+        fail('unreadableDate', 'Expiry date could not be read');
+    } else if (checkExpiry && daysPastExpiry > policy.maxDaysPastExpiry) {
+        fail('expiry', `Document expired on ${data.expiry_date}`);
+    }
+
+    // A partial birth date gives an age range; only a range entirely
+    // outside the limits fails the age rule outright
+    const age = calculateMRZAge(data.dates?.birth, today);
+    if (!age) {
+        fail('unreadableDate', 'Date of birth could not be read');
+    } else if (age.maxYears < policy.minAge) {
+        fail('age', `Applicant is ${age.maxYears}; the minimum age is ${policy.minAge}`);
+    } else if (age.minYears > policy.maxAge) {
+        fail('age', `Applicant is ${age.minYears}; the maximum age is ${policy.maxAge}`);
+    } else if (age.minYears < policy.minAge || age.maxYears > policy.maxAge) {
+        fail('unreadableDate', `Date of birth ${data.date_of_birth} is partial; age is ${age.minYears}-${age.maxYears}`);
+    }
+
+    return { decision: decide(reasons), reasons, age, daysPastExpiry };
+}
+
+// The most severe action among failed rules
+function decide(reasons) {
+    if (reasons.some(r => r.action === 'reject')) return 'reject';
+    if (reasons.some(r => r.action === 'flag')) return 'flag';
+    return 'accept';
+}
+
+// Add the front/back same-card check (compareCardSides) to a policy result
+// from phase 1. Replaces the outcome of an earlier front capture; a check
+// that could not run adds nothing.
+export function applyCardConsistency(policyResult, consistency, config) {
+    const policy = normalizePolicy(config);
+    const reasons = policyResult.reasons.filter(r => r.rule !== 'cardConsistency');
+    if (consistency?.consistent === false) {
+        reasons.push({
+            rule: 'cardConsistency',
+            action: policy.actions.cardConsistency,
+            message: `Front and back may be from different cards (${consistency.failed.join(', ').replace(/_/g, ' ')} differ)`
+        });
+    }
+    return { ...policyResult, decision: decide(reasons), reasons };
+}
@@ -0,0 +1,59 @@
+// Tesseract on pinned files. Tesseract loads its worker script, WASM core
+// and model inside the worker, where no integrity check applies. So they are
+// fetched here with their hashes and handed over as verified bytes: the two
+// scripts as blob URLs, the model as data for loadLanguage. Used by both
+// app.js and alt.html; the Tesseract.js script itself is loaded by a tag.
+
+import { assetUrl, findAssetFile, verifyAssetFile } from './assets.mjs';
+
+// Smallest WebAssembly module using a SIMD instruction; it validates only
+// where SIMD is supported (the check Tesseract's worker makes)
+const WASM_SIMD_PROBE = new Uint8Array([
+    0, 97, 115, 109, 1, 0, 0, 0, 1, 5, 1, 96, 0, 1, 123, 3, 2, 1, 0, 10, 10, 1, 8, 0, 65, 0, 253, 15, 253, 98, 11
+]);
+
+// Verified worker and core scripts as blob URLs for createWorker. The core
+// build is picked here by SIMD support, as the worker would pick it. The
+// caller revokes `urls` once its workers are up.
+export async function fetchOCRScripts(manifest) {
+    const core = WebAssembly.validate(WASM_SIMD_PROBE) ? 'tesseract-core-simd.wasm.js' : 'tesseract-core.wasm.js';
+    const coreFile = manifest.assets.tesseractCore.files.find(file => file.name === `tesseractCore/${core}`);
+    if (!coreFile) throw new Error(`${core} is not listed in assets.json`);
+
+    const [workerScript, coreScript] = await Promise.all(
+        [manifest.assets.tesseractWorker.files[0], coreFile].map(file => verifyAssetFile(file).then(response => response.blob()))
+    );
+    const urls = [workerScript, coreScript].map(blob =>
+        URL.createObjectURL(new Blob([blob], { type: 'application/javascript' })));
+    // The worker only imports a core path ending in "js" as is; the
+    // fragment is ignored when the blob URL is resolved
+    return { workerPath: urls[0], corePath: `${urls[1]}#${core}`, urls };
+}
+
+// The verified bytes of a traineddata file
+export async function fetchTraineddata(manifest, lang) {
+    const file = findAssetFile(manifest, assetUrl(manifest, 'traineddata', `${lang}.traineddata`));
+    if (!file) throw new Error(`${lang}.traineddata is not listed in assets.json`);
+    const response = await verifyAssetFile(file);
+    return new Uint8Array(await response.arrayBuffer());
+}
+
+// One worker on the verified scripts with its model loaded. The worker
+// neither fetches nor caches a model itself, so no unchecked copy is used.
+export async function startOCRWorker(scripts, lang, model, logger) {
+    const worker = await globalThis.Tesseract.createWorker({
+        workerPath: scripts.workerPath,
+        corePath: scripts.corePath,
+        workerBlobURL: false,
+        cacheMethod: 'none',
+        logger
+    });
+    try {
+        await worker.loadLanguage([{ code: lang, data: model }]);
+        await worker.initialize(lang);
+    } catch (error) {
+        await worker.terminate();
+        throw error;
+    }
+    return worker;
+}
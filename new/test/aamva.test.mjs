@@ -0,0 +1,95 @@
+// AAMVA barcode records, barcode interpretation and the MRZ cross-check.
+// Run with: node --test new/test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseAAMVA, parseAAMVADate, isAAMVAData } from '../lib/aamva.mjs';
+import { interpretBarcode, crossCheckDocumentData } from '../lib/barcode.mjs';
+import { parseMRZ } from '../lib/mrz.mjs';
+
+const TODAY = new Date('2020-01-01T12:00:00Z');
+
+// An AAMVA record with one subfile and a subfile table pointing at it
+function record(iin, version, type, elements) {
+    const body = type + elements.join('\n') + '\r';
+    const header = `@\n\x1e\rANSI ${iin}${version}${version === '01' ? '' : '00'}01`;
+    const offset = header.length + 10;
+    return header + type + String(offset).padStart(4, '0') + String(body.length).padStart(4, '0') + body;
+}
+
+// A version 8 licence modelled on the sample in the AAMVA card design standard
+const US_LICENCE = record('636014', '08', 'DL', [
+    'DAQD1234562', 'DCSPUBLIC', 'DDEN', 'DACJOHN', 'DDFN', 'DADQUINCY', 'DBD08292015',
+    'DBB08311977', 'DBA08312025', 'DBC1', 'DAU069 IN', 'DAJCA', 'DCGUSA', 'DCFTEST1234'
+]);
+
+test('a version 8 US licence is read into the parseMRZ shape', () => {
+    const { data, format, documentType } = parseAAMVA(US_LICENCE, TODAY);
+    assert.equal(format, 'AAMVA');
+    assert.equal(documentType, 'AAMVA (CA Driver License)');
+    assert.equal(data.id_number, 'D1234562');
+    assert.equal(data.last_name, 'PUBLIC');
+    assert.equal(data.first_name, 'JOHN QUINCY');
+    assert.deepEqual(data.secondary_identifiers, ['JOHN', 'QUINCY']);
+    assert.equal(data.gender, 'M');
+    assert.equal(data.date_of_birth, '1977-08-31');
+    assert.equal(data.expiry_date, '2025-08-31');
+    assert.equal(data.issue_date, '2015-08-29');
+    assert.equal(data.issuing_state, 'USA');
+    assert.equal(data.issuer_id, '636014');
+    assert.equal(data.aamva_version, 8);
+    assert.equal(data.age.years, 42);
+});
+
+test('a version 1 Canadian card splits the full name and reads CCYYMMDD dates', () => {
+    const card = record('636012', '01', 'ID', [
+        'DAQ123456789', 'DAAMARTIN,JEAN,PAUL', 'DBB19800214', 'DBA20300214', 'DBC2', 'DCGCAN', 'DAJON'
+    ]);
+    const { data, documentType } = parseAAMVA(card, TODAY);
+    assert.equal(documentType, 'AAMVA (ON ID Card)');
+    assert.equal(data.last_name, 'MARTIN');
+    assert.equal(data.first_name, 'JEAN PAUL');
+    assert.equal(data.gender, 'F');
+    assert.equal(data.date_of_birth, '1980-02-14');
+    assert.equal(data.issuing_state, 'CAN');
+});
+
+test('dates fall back to the other field order when the expected one is no real date', () => {
+    assert.equal(parseAAMVADate('02142030', { country: 'USA' }).iso, '2030-02-14');
+    assert.equal(parseAAMVADate('20300214', { country: 'USA' }).iso, '2030-02-14');
+    assert.equal(parseAAMVADate('2030214').valid, false);
+});
+
+test('text that is not an AAMVA record is refused', () => {
+    assert.equal(isAAMVAData('https://example.com'), false);
+    assert.equal(parseAAMVA('hello'), null);
+});
+
+test('barcodes are told apart by their content', () => {
+    assert.equal(interpretBarcode({ format: 'pdf417', text: US_LICENCE }, TODAY).kind, 'aamva');
+    assert.equal(interpretBarcode({ format: 'qr', text: 'https://example.com' }).kind, 'unknown');
+    const mrz = interpretBarcode({
+        format: 'qr',
+        text: 'P<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<\nL898902C36UTO7408122F1204159ZE184226B<<<<<10'
+    });
+    assert.equal(mrz.kind, 'mrz');
+    assert.equal(mrz.result.format, 'TD3');
+});
+
+test('barcode data is cross-checked against the MRZ', () => {
+    const mrz = parseMRZ([
+        'P<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<',
+        'L898902C36UTO7408122F1204159ZE184226B<<<<<10'
+    ].join('\n')).data;
+    const elements = ['DAQL898902C3', 'DCSERIKSSON', 'DACANNA', 'DADMARIA', 'DBB08121974', 'DBA04152012', 'DBC2', 'DCGUSA'];
+    const matching = parseAAMVA(record('636014', '08', 'ID', elements), TODAY).data;
+
+    const agree = crossCheckDocumentData(mrz, matching);
+    assert.equal(agree.consistent, true);
+    assert.deepEqual(agree.compared, ['id_number', 'date_of_birth', 'expiry_date', 'gender', 'last_name', 'first_name']);
+
+    const altered = parseAAMVA(record('636014', '08', 'ID', elements.map(e => e.replace('DBB08121974', 'DBB08121984'))), TODAY).data;
+    const disagree = crossCheckDocumentData(mrz, altered);
+    assert.equal(disagree.consistent, false);
+    assert.deepEqual(disagree.mismatches, [{ field: 'date_of_birth', mrz: '1974-08-12', barcode: '1984-08-12' }]);
+});
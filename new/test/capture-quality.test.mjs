@@ -0,0 +1,82 @@
+// Live capture quality: sharpness, glare and exposure on synthetic frames.
+// Run with: node --test new/test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    measureFrameQuality, evaluateFrameQuality, regionFromPoints, QUALITY_REGIONS
+} from '../lib/capture-quality.mjs';
+
+const WIDTH = 80;
+const HEIGHT = 60;
+
+// An 80x60 grey frame, each pixel's level from `level(x, y)`
+function frame(level) {
+    const data = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+    for (let y = 0; y < HEIGHT; y++) {
+        for (let x = 0; x < WIDTH; x++) {
+            const v = level(x, y);
+            data.set([v, v, v, 255], (y * WIDTH + x) * 4);
+        }
+    }
+    return { data, width: WIDTH, height: HEIGHT };
+}
+
+// Fine print: a checkerboard of 2px squares. Out of focus it becomes a
+// gentle ripple with the same mean.
+const print = (x, y) => ((Math.floor(x / 2) + Math.floor(y / 2)) % 2 ? 90 : 170);
+const blurred = x => Math.round(130 + 40 * Math.sin(x / 8));
+// A blown-out highlight inside the MRZ band, right of the portrait
+const glarePatch = (x, y) => x >= 60 && x < 70 && y >= 40 && y < 48;
+const checks = image => evaluateFrameQuality(measureFrameQuality(image)).issues.map(issue => issue.check);
+
+test('a sharp, evenly lit frame passes', () => {
+    const verdict = evaluateFrameQuality(measureFrameQuality(frame(print)));
+    assert.equal(verdict.ok, true);
+    assert.equal(verdict.metrics.brightness, 130);
+    assert.ok(verdict.metrics.sharpness > 1000);
+});
+
+test('a blurred frame fails on sharpness only', () => {
+    const sharp = measureFrameQuality(frame(print));
+    const soft = measureFrameQuality(frame(blurred));
+    assert.ok(soft.sharpness < sharp.sharpness / 100);
+    assert.deepEqual(checks(frame(blurred)), ['blur']);
+    assert.match(evaluateFrameQuality(soft).issues[0].message, /hold the card steady/);
+});
+
+test('a saturated glare patch fails in the region it falls in', () => {
+    const image = frame((x, y) => (glarePatch(x, y) ? 255 : print(x, y)));
+    const mrz = measureFrameQuality(image, QUALITY_REGIONS.mrz);
+    assert.ok(mrz.glareShare > 0.01);
+    const verdict = evaluateFrameQuality(mrz, undefined, QUALITY_REGIONS.mrz);
+    assert.deepEqual(verdict.issues.map(issue => issue.check), ['glare']);
+    assert.equal(verdict.issues[0].message, 'Glare on the MRZ - tilt the card slightly');
+
+    // The portrait is on the other side of the card
+    assert.equal(measureFrameQuality(image, QUALITY_REGIONS.portrait).glareShare, 0);
+});
+
+test('under- and over-exposed frames are reported before blur', () => {
+    assert.deepEqual(checks(frame(() => 20)), ['underexposed', 'blur']);
+    assert.deepEqual(checks(frame(() => 235)), ['overexposed', 'blur']);
+
+    // Half the frame blown out is overexposed even at a moderate mean
+    const halfBlown = measureFrameQuality(frame((x, y) => (x < 40 ? 250 : print(x, y))));
+    assert.ok(halfBlown.brightness <= 200);
+    assert.equal(halfBlown.brightShare, 0.5);
+    assert.equal(evaluateFrameQuality(halfBlown).issues[0].check, 'overexposed');
+});
+
+test('thresholds can be loosened', () => {
+    const metrics = measureFrameQuality(frame(blurred));
+    assert.equal(evaluateFrameQuality(metrics, { minSharpness: 0 }).ok, true);
+});
+
+test('a located band becomes a region clamped to the frame', () => {
+    const region = regionFromPoints([{ x: -5, y: 38 }, { x: 72, y: 38 }, { x: 72, y: 56 }, { x: 0, y: 56 }], WIDTH, HEIGHT, 'the MRZ');
+    assert.equal(region.x, 0);
+    assert.equal(region.width, 0.9);
+    assert.equal(region.y, 38 / 60);
+    assert.equal(region.label, 'the MRZ');
+});
@@ -0,0 +1,66 @@
+// Same-card check for the front and back captures.
+// Run with: node --test new/test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { quadAspect, measureColorProfile, compareCardSides } from '../lib/card-consistency.mjs';
+
+// RGBA pixels of one colour, with an optional colour for the left half
+function image(width, height, rgb, leftRgb = rgb) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const [r, g, b] = x < width / 2 ? leftRgb : rgb;
+            data.set([r, g, b, 255], (y * width + x) * 4);
+        }
+    }
+    return { data, width, height };
+}
+
+const corners = (width, height) => [{ x: 0, y: 0 }, { x: width, y: 0 }, { x: width, y: height }, { x: 0, y: height }];
+const PALE_BLUE = [150, 190, 230];
+const PALE_PINK = [235, 170, 190];
+
+test('the aspect of an ID-1 card outline', () => {
+    assert.equal(quadAspect(corners(856, 540)), 1.585);
+    assert.equal(quadAspect([{ x: 0, y: 0 }]), null);
+});
+
+test('colour profiles leave out dark print and glare', () => {
+    const profile = measureColorProfile(image(8, 8, PALE_BLUE, [20, 20, 20]));
+    assert.equal(profile.samples, 32);
+    assert.equal(profile.hue.length, 13);
+    assert.ok(Math.abs(profile.hue.reduce((sum, v) => sum + v, 0) - 1) < 0.01);
+    assert.equal(measureColorProfile(image(4, 4, [255, 255, 255])).samples, 0);
+});
+
+function side(rgb, width = 856, height = 540) {
+    return { rectified: true, format: 'TD1', aspect: quadAspect(corners(width, height)), color: measureColorProfile(image(8, 8, rgb)) };
+}
+
+test('two sides of one card agree', () => {
+    const frontCheck = { compared: ['id_number', 'date_of_birth'], mismatches: [] };
+    const result = compareCardSides(side(PALE_BLUE), side(PALE_BLUE), frontCheck);
+    assert.equal(result.consistent, true);
+    assert.deepEqual(result.checks.map(c => c.result), ['pass', 'pass', 'pass', 'pass', 'pass']);
+});
+
+test('a front of another colour and shape fails', () => {
+    const result = compareCardSides(side(PALE_BLUE), side(PALE_PINK, 880, 625), null);
+    assert.equal(result.consistent, false);
+    assert.deepEqual(result.failed, ['aspect', 'color']);
+});
+
+test('a front whose printed number differs from the MRZ fails', () => {
+    const frontCheck = {
+        compared: ['id_number'],
+        mismatches: [{ field: 'id_number', mrz: 'D23145890', front: 'X12345678' }]
+    };
+    const result = compareCardSides(side(PALE_BLUE), side(PALE_BLUE), frontCheck);
+    assert.deepEqual(result.failed, ['document_number']);
+    assert.equal(result.checks.find(c => c.check === 'date_of_birth').result, 'skipped');
+});
+
+test('with nothing to compare the result is unknown', () => {
+    assert.equal(compareCardSides({}, {}, null).consistent, null);
+});
@@ -0,0 +1,77 @@
+// Document classification from the card outline and the MRZ band.
+// Run with: node --test new/test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { measureMRZLines, classifyDocument, DOCUMENT_CLASSES } from '../lib/document-class.mjs';
+
+// RGBA pixels of an MRZ band: dark character blocks on white, at the
+// OCR-B pitch for their height
+function mrzBand(lineCount, chars, lineHeight = 10) {
+    const pitch = lineHeight * 1.05;
+    const width = Math.ceil(chars * pitch) + 20;
+    const height = lineCount * lineHeight * 2 + lineHeight;
+    const data = new Uint8ClampedArray(width * height * 4).fill(255);
+    for (let line = 0; line < lineCount; line++) {
+        for (let char = 0; char < chars; char++) {
+            const x0 = Math.round(10 + char * pitch);
+            const y0 = lineHeight + line * lineHeight * 2;
+            for (let y = y0; y < y0 + lineHeight; y++) {
+                for (let x = x0; x < x0 + Math.round(lineHeight * 0.8); x++) {
+                    data.fill(20, (y * width + x) * 4, (y * width + x) * 4 + 3);
+                }
+            }
+        }
+    }
+    return { data, width, height };
+}
+
+const ID1 = DOCUMENT_CLASSES['ID-1'].aspect;
+const PASSPORT = DOCUMENT_CLASSES.passport.aspect;
+
+test('MRZ lines and their length are measured from the band', () => {
+    assert.deepEqual(measureMRZLines(mrzBand(3, 30)), { lines: 3, lineHeight: 10, charsPerLine: 30 });
+    assert.deepEqual(measureMRZLines(mrzBand(2, 44)), { lines: 2, lineHeight: 10, charsPerLine: 44 });
+    assert.deepEqual(measureMRZLines(mrzBand(2, 36)), { lines: 2, lineHeight: 10, charsPerLine: 36 });
+
+    const blank = { data: new Uint8ClampedArray(40 * 20 * 4).fill(255), width: 40, height: 20 };
+    assert.equal(measureMRZLines(blank).lines, 0);
+});
+
+test('outline and MRZ agreeing classify with high confidence', () => {
+    const card = classifyDocument({ cardAspect: ID1, mrz: measureMRZLines(mrzBand(3, 30)) });
+    assert.equal(card.type, 'ID-1');
+    assert.equal(card.confidence, 'high');
+    assert.deepEqual(card.mrzFormats, ['TD1']);
+
+    const passport = classifyDocument({ cardAspect: PASSPORT, mrz: measureMRZLines(mrzBand(2, 44)) });
+    assert.equal(passport.type, 'passport');
+    assert.equal(passport.confidence, 'high');
+    assert.deepEqual(passport.mrzFormats, ['TD3', 'MRV-A']);
+
+    const id2 = classifyDocument({ cardAspect: PASSPORT, mrz: { lines: 2, lineHeight: 10, charsPerLine: 36 } });
+    assert.equal(id2.type, 'ID-2');
+    assert.deepEqual(id2.mrzFormats, ['TD2', 'MRV-B']);
+});
+
+test('a two-line ID-1 card tries the French CNI layout first', () => {
+    const cni = classifyDocument({ cardAspect: ID1, mrz: { lines: 2, lineHeight: 10, charsPerLine: 36 } });
+    assert.equal(cni.type, 'ID-1');
+    assert.deepEqual(cni.mrzFormats, ['FRA-CNI', 'TD2']);
+});
+
+test('one source alone gives medium confidence, a disagreement low', () => {
+    assert.equal(classifyDocument({ cardAspect: ID1 }).confidence, 'medium');
+    assert.equal(classifyDocument({ mrz: { lines: 3, lineHeight: 10, charsPerLine: 30 } }).confidence, 'medium');
+
+    const mixed = classifyDocument({ cardAspect: ID1, mrz: { lines: 2, lineHeight: 10, charsPerLine: 44 } });
+    assert.equal(mixed.type, 'passport');
+    assert.equal(mixed.confidence, 'low');
+});
+
+test('an outline of no ICAO size is unsupported, and an empty frame unknown', () => {
+    const square = classifyDocument({ cardAspect: 1 });
+    assert.equal(square.type, 'unsupported');
+    assert.deepEqual(square.mrzFormats, []);
+    assert.equal(classifyDocument({}).type, null);
+});
@@ -0,0 +1,69 @@
+// Printed front fields read from OCR text and compared with the MRZ.
+// Run with: node --test new/test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFrontDate, readFrontFields, compareFrontWithMRZ, selectFrontTemplate } from '../lib/front-fields.mjs';
+import { parseMRZ } from '../lib/mrz.mjs';
+
+// ICAO TD3 specimen and the data page printed above it
+const PASSPORT = parseMRZ([
+    'P<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<',
+    'L898902C36UTO7408122F1204159ZE184226B<<<<<10'
+].join('\n'));
+const DATA_PAGE = [
+    'Type/Type  Code/Code  Passport No./No du passeport',
+    'P  UTO  L898902C3',
+    'Surname/Nom',
+    'ERIKSSON',
+    'Given names/Prénoms',
+    'ANNA MARIA',
+    'Date of birth/Date de naissance',
+    '12 AUG/AOÛT 74',
+    'Date of expiry/Date d\'expiration',
+    '15 APR/AVR 12'
+].join('\n');
+
+test('printed dates in numeric and month-name forms', () => {
+    assert.deepEqual(parseFrontDate('12/08/1974'), { raw: '12/08/1974', year: 1974, month: 8, day: 12, fullYear: true });
+    assert.deepEqual(parseFrontDate('12 AOÛT 74'), { raw: '12 AOUT 74', year: 74, month: 8, day: 12, fullYear: false });
+    assert.equal(parseFrontDate('15 APR/AVR 12').month, 4);
+    assert.equal(parseFrontDate('31/13/1990'), null);
+    assert.equal(parseFrontDate('no date'), null);
+});
+
+test('passport fields are read from labels above their values', () => {
+    assert.equal(selectFrontTemplate(PASSPORT.data, PASSPORT.format), 'passport');
+    const { fields } = readFrontFields(DATA_PAGE, 'passport');
+    assert.equal(fields.last_name, 'ERIKSSON');
+    assert.equal(fields.first_name, 'ANNA MARIA');
+    assert.equal(fields.date_of_birth.day, 12);
+    assert.equal(fields.expiry_date.month, 4);
+    assert.equal(fields.id_number, 'L898902C3');
+});
+
+test('a front that matches the MRZ is consistent', () => {
+    const check = compareFrontWithMRZ(PASSPORT.data, readFrontFields(DATA_PAGE, 'passport'));
+    assert.equal(check.consistent, true);
+    assert.deepEqual(check.compared, ['last_name', 'first_name', 'date_of_birth', 'expiry_date', 'id_number']);
+    assert.deepEqual(check.unread, []);
+});
+
+test('OCR slips in names and numbers are tolerated', () => {
+    const smudged = DATA_PAGE.replace('ERIKSSON', 'ERIKSS0N').replace('L898902C3', 'L8989O2C3');
+    assert.equal(compareFrontWithMRZ(PASSPORT.data, readFrontFields(smudged, 'passport')).consistent, true);
+});
+
+test('a different printed birth date is a mismatch', () => {
+    const altered = DATA_PAGE.replace('12 AUG/AOÛT 74', '12 AUG/AOÛT 84');
+    const check = compareFrontWithMRZ(PASSPORT.data, readFrontFields(altered, 'passport'));
+    assert.equal(check.consistent, false);
+    assert.deepEqual(check.mismatches.map(m => m.field), ['date_of_birth']);
+});
+
+test('fields OCR could not find are listed and not compared', () => {
+    const check = compareFrontWithMRZ(PASSPORT.data, readFrontFields('Surname/Nom\nERIKSSON', 'passport'));
+    assert.equal(check.consistent, true);
+    assert.deepEqual(check.compared, ['last_name']);
+    assert.deepEqual(check.unread, ['first_name', 'date_of_birth', 'expiry_date', 'id_number']);
+});
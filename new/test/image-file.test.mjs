@@ -0,0 +1,91 @@
+// File-type sniffing and EXIF orientation of uploaded images, on small
+// byte fixtures. Run with: node --test new/test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectImageType, readJPEGOrientation, orientationTransform } from '../lib/image-file.mjs';
+
+const bytes = (...parts) => new Uint8Array(parts.flatMap(part =>
+    typeof part === 'string' ? [...part].map(c => c.charCodeAt(0)) : part));
+const u16 = (value, little) => (little ? [value & 0xFF, value >> 8] : [value >> 8, value & 0xFF]);
+const u32 = (value, little) => (little
+    ? [value & 0xFF, (value >> 8) & 0xFF, (value >> 16) & 0xFF, value >>> 24]
+    : [value >>> 24, (value >> 16) & 0xFF, (value >> 8) & 0xFF, value & 0xFF]);
+
+// A JPEG with a JFIF segment, then an EXIF segment whose first IFD holds
+// an image width tag followed by the orientation tag
+function jpeg(orientation, { little = false } = {}) {
+    const entry = (tag, value) => [...u16(tag, little), ...u16(3, little), ...u32(1, little), ...u16(value, little), 0, 0];
+    const tiff = [
+        ...(little ? [0x49, 0x49] : [0x4D, 0x4D]), ...u16(42, little), ...u32(8, little),
+        ...u16(2, little), ...entry(0x0100, 640), ...entry(0x0112, orientation), ...u32(0, little)
+    ];
+    const exif = [...bytes('Exif'), 0, 0, ...tiff];
+    return bytes(
+        [0xFF, 0xD8],
+        [0xFF, 0xE0], u16(16), 'JFIF', [0, 1, 1, 0, 0, 1, 0, 1, 0, 0],
+        [0xFF, 0xE1], u16(exif.length + 2), exif,
+        [0xFF, 0xDA, 0, 2]
+    );
+}
+
+test('file types are told from their leading bytes', () => {
+    assert.equal(detectImageType(jpeg(1)), 'jpeg');
+    assert.equal(detectImageType(bytes([0x89], 'PNG', [0x0D, 0x0A, 0x1A, 0x0A])), 'png');
+    assert.equal(detectImageType(bytes([0, 0, 0, 24], 'ftypheic', [0, 0, 0, 0])), 'heic');
+    assert.equal(detectImageType(bytes([0, 0, 0, 24], 'ftypmif1', [0, 0, 0, 0])), 'heic');
+    // An MP4 shares the box layout but not the brand
+    assert.equal(detectImageType(bytes([0, 0, 0, 24], 'ftypisom', [0, 0, 0, 0])), null);
+    assert.equal(detectImageType(bytes('GIF89a')), null);
+    assert.equal(detectImageType(bytes([0xFF, 0xD8])), null);
+});
+
+test('every EXIF orientation is read, in either byte order', () => {
+    for (let orientation = 1; orientation <= 8; orientation++) {
+        assert.equal(readJPEGOrientation(jpeg(orientation)), orientation);
+        assert.equal(readJPEGOrientation(jpeg(orientation, { little: true })), orientation);
+    }
+});
+
+test('missing, out-of-range and truncated EXIF data read as upright', () => {
+    assert.equal(readJPEGOrientation(bytes([0xFF, 0xD8, 0xFF, 0xDA, 0, 2])), 1);
+    assert.equal(readJPEGOrientation(jpeg(9)), 1);
+    assert.equal(readJPEGOrientation(jpeg(0)), 1);
+    assert.equal(readJPEGOrientation(bytes([0x89], 'PNG')), 1);
+
+    const full = jpeg(6);
+    for (const length of [24, 30, 40, 50, full.length - 20]) {
+        assert.equal(readJPEGOrientation(full.subarray(0, length)), 1, `cut at ${length} bytes`);
+    }
+});
+
+test('an IFD offset pointing past the end reads as upright', () => {
+    const broken = jpeg(6);
+    // First IFD offset in the big-endian TIFF header, after JFIF and 'Exif\0\0'
+    const tiff = 2 + 18 + 4 + 6;
+    broken.set(u32(0xFFFF, false), tiff + 4);
+    assert.equal(readJPEGOrientation(broken), 1);
+});
+
+// Where ctx.transform(a, b, c, d, e, f) puts a stored pixel
+function apply([a, b, c, d, e, f], x, y) {
+    return [a * x + c * y + e, b * x + d * y + f];
+}
+
+test('every orientation transform draws the image onto its canvas', () => {
+    const width = 40;
+    const height = 30;
+    // Where the stored top-left corner ends up once upright
+    const topLeft = {
+        1: [0, 0], 2: [40, 0], 3: [40, 30], 4: [0, 30], 5: [0, 0], 6: [30, 0], 7: [30, 40], 8: [0, 40]
+    };
+    for (let orientation = 1; orientation <= 8; orientation++) {
+        const { width: w, height: h, transform } = orientationTransform(orientation, width, height);
+        assert.deepEqual([w, h], orientation >= 5 ? [30, 40] : [40, 30]);
+        assert.deepEqual(apply(transform, 0, 0), topLeft[orientation]);
+        const corners = [[0, 0], [width, 0], [width, height], [0, height]].map(([x, y]) => apply(transform, x, y));
+        assert.deepEqual(corners.map(c => c[0]).sort((a, b) => a - b), [0, 0, w, w]);
+        assert.deepEqual(corners.map(c => c[1]).sort((a, b) => a - b), [0, 0, h, h]);
+    }
+    assert.deepEqual(orientationTransform(42, width, height).transform, [1, 0, 0, 1, 0, 0]);
+});
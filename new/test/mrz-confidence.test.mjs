@@ -0,0 +1,79 @@
+// OCR symbols aligned with the final MRZ lines, and the confidence each
+// field gets from them. Run with: node --test new/test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMRZ, collectOCRLines, alignOCRToMRZLines } from '../lib/mrz.mjs';
+
+// ICAO TD3 specimen
+const LINE1 = 'P<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<';
+const LINE2 = 'L898902C36UTO7408122F1204159ZE184226B<<<<<10';
+
+// An OCR line as collectOCRLines returns it, one 10px box per character
+function ocrLine(text, confidence = () => 90) {
+    return {
+        text,
+        symbols: [...text].map((char, i) => ({
+            char, confidence: confidence(i), bbox: { x0: i * 10, y0: 0, x1: i * 10 + 9, y1: 12 }
+        }))
+    };
+}
+
+test('Tesseract symbols are flattened to MRZ characters', () => {
+    const lines = collectOCRLines({
+        lines: [{ words: [{ symbols: [{ text: 'p', confidence: 80 }, { text: '«', confidence: 5 }, { text: '<', confidence: 70 }] }] }]
+    });
+    assert.deepEqual(lines, [{
+        text: 'P<',
+        symbols: [{ char: 'P', confidence: 80, bbox: null }, { char: '<', confidence: 70, bbox: null }]
+    }]);
+});
+
+test('a character OCR inserted is skipped', () => {
+    const inserted = `${LINE2.slice(0, 9)}K${LINE2.slice(9)}`;
+    const [, aligned] = alignOCRToMRZLines([LINE1, LINE2], [ocrLine(LINE1), ocrLine(inserted)]);
+    assert.equal(aligned.map(s => s.char).join(''), LINE2);
+    // Everything after the stray K comes from one box further right
+    assert.equal(aligned[8].bbox.x0, 80);
+    assert.equal(aligned[9].bbox.x0, 100);
+});
+
+test('a character OCR dropped is left without a symbol', () => {
+    const dropped = LINE2.slice(0, 14) + LINE2.slice(15);
+    const [, aligned] = alignOCRToMRZLines([LINE1, LINE2], [ocrLine(LINE1), ocrLine(dropped)]);
+    assert.equal(aligned[14], null);
+    assert.equal(aligned.filter(s => s === null).length, 1);
+    assert.equal(aligned[15].char, LINE2[15]);
+
+    const { data } = parseMRZ(`${LINE1}\n${LINE2}`, { ocrLines: [ocrLine(LINE1), ocrLine(dropped)] });
+    assert.equal(data.field_confidence.date_of_birth.missing, 1);
+    assert.equal(data.field_confidence.expiry_date.missing, 0);
+});
+
+test('low-confidence symbols lower only the field they fall in', () => {
+    // Date of birth at 13-19 of line 2, read with an O repaired to 0
+    const read = LINE2.replace('7408122', '74O8122');
+    const { data, quality } = parseMRZ(`${LINE1}\n${read}`, {
+        ocrLines: [ocrLine(LINE1), ocrLine(read, i => (i >= 13 && i < 19 ? 30 : 95))]
+    });
+    const confidence = data.field_confidence;
+    assert.equal(confidence.date_of_birth.confidence, 30);
+    assert.equal(confidence.date_of_birth_check.confidence, 95);
+    assert.equal(confidence.document_number.confidence, 95);
+    assert.equal(confidence.expiry_date.confidence, 95);
+    assert.deepEqual(confidence.date_of_birth.bbox, { x0: 130, y0: 0, x1: 189, y1: 12 });
+    assert.deepEqual(confidence.date_of_birth.characters[2], { char: '0', confidence: 30, read: 'O' });
+    // The passing check digit vouches for the date
+    assert.deepEqual(quality.lowConfidenceFields, [{ field: 'date_of_birth', confidence: 30, checked: true }]);
+});
+
+test('a low-confidence name, which no check digit covers, costs quality', () => {
+    const confident = parseMRZ(`${LINE1}\n${LINE2}`, { ocrLines: [ocrLine(LINE1), ocrLine(LINE2)] });
+    const doubtful = parseMRZ(`${LINE1}\n${LINE2}`, {
+        ocrLines: [ocrLine(LINE1, i => (i >= 5 ? 20 : 95)), ocrLine(LINE2)]
+    });
+    assert.equal(doubtful.data.field_confidence.name.confidence, 20);
+    assert.equal(doubtful.data.field_confidence.document_code.confidence, 95);
+    assert.deepEqual(doubtful.quality.lowConfidenceFields, [{ field: 'name', confidence: 20, checked: false }]);
+    assert.ok(doubtful.quality.score < confident.quality.score);
+});
@@ -0,0 +1,59 @@
+// Multi-frame MRZ consensus voting. Run with: node --test new/test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildMRZConsensus } from '../lib/mrz-consensus.mjs';
+import { parseMRZ } from '../lib/mrz.mjs';
+
+// ICAO TD3 specimen
+const LINE1 = 'P<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<';
+const LINE2 = 'L898902C36UTO7408122F1204159ZE184226B<<<<<10';
+const TD1 = [
+    'I<UTOD231458907<<<<<<<<<<<<<<<',
+    '7408122F1204159UTO<<<<<<<<<<<6',
+    'ERIKSSON<<ANNA<MARIA<<<<<<<<<<'
+].join('\n');
+
+test('single misreads are outvoted by the other frames', () => {
+    const consensus = buildMRZConsensus([
+        { text: `${LINE1}\n${LINE2}` },
+        { text: `${LINE1.replace('ERIKSSON', 'ERIKSSQN')}\n${LINE2}` },
+        { text: `${LINE1}\n${LINE2.replace('L898902C3', 'L898802C3')}` }
+    ]);
+    assert.deepEqual(consensus.lines, [LINE1, LINE2]);
+    assert.equal(consensus.format, 'TD3');
+    assert.ok(consensus.disagreements.some(d => d.line === 0 && d.position === 11 && d.chosen === 'O'));
+    assert.ok(consensus.agreement < 1);
+});
+
+test('frames that do not parse or disagree on the format are left out', () => {
+    const consensus = buildMRZConsensus([
+        { text: `${LINE1}\n${LINE2}` },
+        { text: 'no machine readable zone here' },
+        { text: `${LINE1}\n${LINE2}` },
+        { text: TD1 },
+        null
+    ]);
+    assert.equal(consensus.framesRead, 5);
+    assert.equal(consensus.framesUsed, 2);
+    assert.equal(consensus.agreement, 1);
+    assert.deepEqual(consensus.disagreements, []);
+});
+
+test('the consensus parses with its agreement as confidence', () => {
+    const consensus = buildMRZConsensus([
+        { text: `${LINE1}\n${LINE2}` },
+        { text: `${LINE1}\n${LINE2}` },
+        { text: `${LINE1.replace('ANNA', 'ANMA')}\n${LINE2}` }
+    ]);
+    const result = parseMRZ(consensus.text, { ocrLines: consensus.ocrLines });
+    assert.equal(result.checksums.valid, true);
+    assert.deepEqual(result.data.secondary_identifiers, ['ANNA', 'MARIA']);
+    const disputed = consensus.ocrLines[0].symbols[17];
+    const settled = consensus.ocrLines[0].symbols[0];
+    assert.ok(disputed.confidence < settled.confidence);
+});
+
+test('no readable frame gives null', () => {
+    assert.equal(buildMRZConsensus([{ text: '' }, { text: 'blurred' }]), null);
+});
@@ -0,0 +1,63 @@
+// Century resolution, calendar checks and ages for MRZ dates.
+// Run with: node --test new/test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveMRZDates, isValidMRZDate, calculateMRZAge, daysSinceMRZDate } from '../lib/mrz-dates.mjs';
+
+const TODAY = new Date('2026-10-18T12:00:00Z');
+
+test('birth dates take the latest century not after today', () => {
+    assert.equal(resolveMRZDates({ birth: '740812' }, TODAY).birth.year, 1974);
+    assert.equal(resolveMRZDates({ birth: '100101' }, TODAY).birth.year, 2010);
+    assert.equal(resolveMRZDates({ birth: '290620' }, TODAY).birth.year, 1929);
+});
+
+test('expiry dates fall after the birth date', () => {
+    const specimen = resolveMRZDates({ birth: '740812', expiry: '120415' }, TODAY);
+    assert.equal(specimen.expiry.iso, '2012-04-15');
+
+    const child = resolveMRZDates({ birth: '100101', expiry: '300101' }, TODAY);
+    assert.equal(child.birth.year, 2010);
+    assert.equal(child.expiry.year, 2030);
+});
+
+test('an expiry too far ahead is resolved but marked implausible', () => {
+    const dates = resolveMRZDates({ birth: '850101', expiry: '650101' }, TODAY);
+    assert.equal(dates.expiry.year, 2065);
+    assert.equal(dates.expiry.plausible, false);
+});
+
+test('a verified issue date places the birth date before it', () => {
+    assert.equal(resolveMRZDates({ birth: '100101', issue: '0506' }, TODAY).birth.year, 1910);
+    // An issue date whose check digit failed does not move the birth date
+    assert.equal(resolveMRZDates({ birth: '100101', issue: { raw: '0506', verified: false } }, TODAY).birth.year, 2010);
+});
+
+test('dates are checked against the real calendar', () => {
+    assert.equal(isValidMRZDate('000229'), true);
+    assert.equal(isValidMRZDate('010229'), false);
+    assert.equal(isValidMRZDate('011301'), false);
+    assert.equal(resolveMRZDates({ birth: '850101', expiry: '300229' }, TODAY).expiry.valid, false);
+});
+
+test('partial birth dates give an age range', () => {
+    const { birth } = resolveMRZDates({ birth: '85<<<<' }, TODAY);
+    assert.equal(birth.iso, '1985');
+    assert.equal(birth.partial, true);
+    assert.deepEqual(calculateMRZAge(birth, TODAY), { years: null, minYears: 40, maxYears: 41, exact: false });
+
+    const full = resolveMRZDates({ birth: '851231' }, TODAY).birth;
+    assert.equal(calculateMRZAge(full, TODAY).years, 40);
+});
+
+test('days since a date count from its last possible day', () => {
+    const { expiry } = resolveMRZDates({ birth: '740812', expiry: '261001' }, TODAY);
+    assert.equal(daysSinceMRZDate(expiry, TODAY), 17);
+    assert.equal(daysSinceMRZDate(resolveMRZDates({ birth: '740812', expiry: '261231' }, TODAY).expiry, TODAY), -74);
+
+    // A partial expiry date has passed only once its whole month has
+    const partial = resolveMRZDates({ birth: '740812', expiry: '2610<<' }, TODAY).expiry;
+    assert.equal(daysSinceMRZDate(partial, TODAY), -13);
+    assert.equal(daysSinceMRZDate(resolveMRZDates({ birth: 'XXXXXX' }, TODAY).birth, TODAY), null);
+});
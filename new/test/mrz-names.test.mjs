@@ -0,0 +1,61 @@
+// MRZ name fields: identifiers, truncation, transliteration and matching a
+// typed name. Run with: node --test new/test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMRZName, transliterateToMRZ, matchMRZName } from '../lib/mrz-names.mjs';
+
+// A TD3 name field that runs to the 39-character limit without a filler
+const TRUNCATED = 'MACDONALD<<JOHN<ALEXANDER<CHRISTOPHER<W';
+
+test('the name field splits into primary and secondary identifiers', () => {
+    assert.deepEqual(parseMRZName('ERIKSSON<<ANNA<MARIA<<<<<<<<<<'), {
+        primary: ['ERIKSSON'], secondary: ['ANNA', 'MARIA'], truncated: false
+    });
+    assert.deepEqual(parseMRZName('VAN<DER<BERG<<PIETER<<<'), {
+        primary: ['VAN', 'DER', 'BERG'], secondary: ['PIETER'], truncated: false
+    });
+    assert.deepEqual(parseMRZName('MOGAE<<<<<<<').secondary, []);
+});
+
+test('a name ending without a filler is marked truncated', () => {
+    assert.equal(TRUNCATED.length, 39);
+    const name = parseMRZName(TRUNCATED);
+    assert.equal(name.truncated, true);
+    assert.deepEqual(name.secondary, ['JOHN', 'ALEXANDER', 'CHRISTOPHER', 'W']);
+});
+
+test('a truncated name matches the full typed name', () => {
+    const result = matchMRZName(parseMRZName(TRUNCATED), 'John Alexander Christopher William Macdonald');
+    assert.equal(result.match, true);
+    assert.equal(result.truncated, true);
+});
+
+test('umlauts and ligatures take every ICAO spelling', () => {
+    assert.deepEqual(transliterateToMRZ('Jörg Müller'), ['JOERG<MUELLER', 'JOERG<MULLER', 'JORG<MUELLER', 'JORG<MULLER']);
+    assert.deepEqual(transliterateToMRZ('Æbeltoft'), ['AEBELTOFT']);
+    assert.deepEqual(transliterateToMRZ('Groß'), ['GROSS']);
+    assert.deepEqual(transliterateToMRZ('Peña'), ['PENA', 'PENXXA']);
+    assert.deepEqual(transliterateToMRZ("O'Brien-Smith"), ['OBRIEN<SMITH']);
+    assert.deepEqual(transliterateToMRZ('José'), ['JOSE']);
+});
+
+test('typed names match whichever transliteration the issuer used', () => {
+    const mrz = parseMRZName('MUELLER<<JOERG<<<<<<<<<<');
+    assert.equal(matchMRZName(mrz, 'Jörg Müller').match, true);
+    assert.equal(matchMRZName(mrz, 'Jorg Muller').match, true);
+    assert.equal(matchMRZName(parseMRZName('ERIKSSON<<ANNA<MARIA<<<<'), 'Maria Anna Eriksson').match, true);
+});
+
+test('a different name does not match', () => {
+    const mrz = parseMRZName('ERIKSSON<<ANNA<MARIA<<<<');
+    const other = matchMRZName(mrz, 'Anna Eriksen');
+    assert.equal(other.match, false);
+    assert.deepEqual(other.unmatchedMRZParts, ['ERIKSSON', 'MARIA']);
+    assert.deepEqual(other.unmatchedTypedParts, ['ERIKSEN']);
+
+    // A complete MRZ name leaves no room for extra typed names
+    const extra = matchMRZName(parseMRZName('ERIKSSON<<ANNA<<<<'), 'Anna Maria Eriksson');
+    assert.equal(extra.match, false);
+    assert.deepEqual(extra.unmatchedTypedParts, ['MARIA']);
+});
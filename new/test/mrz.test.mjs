@@ -0,0 +1,166 @@
+// parseMRZ on the ICAO 9303 specimen documents and a national layout, the
+// check-digit repair of misread characters, and the country registry checks
+// on their codes. Run with: node --test new/test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMRZ, lookupCountryCode, describeCountryCheck, correctMRZWithChecksums } from '../lib/mrz.mjs';
+
+// ICAO 9303 specimens: part 5 (TD1), part 6 (TD2), part 4 (TD3) and part 7 (MRV)
+const SPECIMENS = {
+    TD1: [
+        'I<UTOD231458907<<<<<<<<<<<<<<<',
+        '7408122F1204159UTO<<<<<<<<<<<6',
+        'ERIKSSON<<ANNA<MARIA<<<<<<<<<<'
+    ],
+    TD2: [
+        'I<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<',
+        'D231458907UTO7408122F1204159<<<<<<<6'
+    ],
+    TD3: [
+        'P<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<',
+        'L898902C36UTO7408122F1204159ZE184226B<<<<<10'
+    ],
+    'MRV-A': [
+        'V<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<',
+        'L8988901C4XXX4009078F96121096ZE184226B<<<<<<'
+    ],
+    'MRV-B': [
+        'V<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<',
+        'L8988901C4XXX4009078F9612109<<<<<<<<'
+    ]
+};
+
+for (const format of ['TD1', 'TD2', 'TD3']) {
+    test(`${format} specimen parses with every check digit passing`, () => {
+        const result = parseMRZ(SPECIMENS[format].join('\n'));
+        assert.equal(result.format, format);
+        assert.equal(result.checksums.valid, true);
+        assert.deepEqual(result.checksums.errors, []);
+        assert.equal(result.data.issuing_state, 'UTO');
+        assert.equal(result.data.nationality, 'UTO');
+        assert.deepEqual(result.data.primary_identifiers, ['ERIKSSON']);
+        assert.deepEqual(result.data.secondary_identifiers, ['ANNA', 'MARIA']);
+        assert.equal(result.data.gender, 'F');
+        assert.equal(result.data.date_of_birth, '1974-08-12');
+        assert.equal(result.data.expiry_date, '2012-04-15');
+        assert.deepEqual(result.data.corrections, []);
+    });
+}
+
+test('check digits repair a misread date of birth', () => {
+    const [line1, line2] = SPECIMENS.TD3;
+    const result = parseMRZ(`${line1}\n${line2.replace('7408122', '74O8122')}`);
+    assert.equal(result.checksums.valid, true);
+    assert.equal(result.data.date_of_birth, '1974-08-12');
+    assert.deepEqual(result.data.corrections, [
+        { field: 'date_of_birth', line: 1, position: 15, from: 'O', to: '0' }
+    ]);
+});
+
+test('check digits repair misreads in the document number', () => {
+    const [line1, line2] = SPECIMENS.TD3;
+    const result = parseMRZ(`${line1}\n${line2.replace('L898902C3', 'L89B9O2C3')}`);
+    assert.equal(result.checksums.valid, true);
+    assert.equal(result.data.document_number, 'L898902C3');
+    assert.deepEqual(result.data.corrections.map(c => `${c.from}>${c.to}@${c.position}`), ['B>8@3', 'O>0@5']);
+});
+
+test('a repair the check digit cannot single out is refused', () => {
+    // Without a composite check, 12545B789 and 12S458789 both satisfy the
+    // check digit 4 at the same cost, so neither is chosen
+    const lines = [SPECIMENS['MRV-B'][0], '12S45B7894XXX4009078F9612109<<<<<<<<'];
+    const correction = correctMRZWithChecksums(lines, 'MRV-B');
+    assert.deepEqual(correction.corrections, []);
+    assert.deepEqual(correction.unresolved, ['document_number']);
+
+    const result = parseMRZ(lines.join('\n'));
+    assert.equal(result.data.document_number, '12S45B789');
+    assert.equal(result.checksums.valid, false);
+});
+
+test('a misread that no candidate explains is left as read', () => {
+    const [line1, line2] = SPECIMENS.TD3;
+    const result = parseMRZ(`${line1}\n${line2.replace('L898902C3', 'L8B8902C3')}`);
+    assert.deepEqual(result.data.corrections, []);
+    assert.equal(result.checksums.valid, false);
+});
+
+test('document numbers of the specimens', () => {
+    assert.equal(parseMRZ(SPECIMENS.TD1.join('\n')).data.document_number, 'D23145890');
+    assert.equal(parseMRZ(SPECIMENS.TD2.join('\n')).data.document_number, 'D23145890');
+    assert.equal(parseMRZ(SPECIMENS.TD3.join('\n')).data.document_number, 'L898902C3');
+});
+
+for (const format of ['MRV-A', 'MRV-B']) {
+    test(`${format} specimen is read as a visa`, () => {
+        const result = parseMRZ(SPECIMENS[format].join('\n'));
+        assert.equal(result.format, format);
+        assert.equal(result.documentType, `${format} (Visa)`);
+        assert.equal(result.checksums.valid, true);
+        assert.equal(result.data.document_number, 'L8988901C');
+        assert.equal(result.data.nationality, 'XXX');
+        assert.equal(result.data.date_of_birth, '1940-09-07');
+        assert.equal(result.data.expiry_date, '1996-12-10');
+    });
+}
+
+test('specimen country codes resolve through the registry', () => {
+    const { data } = parseMRZ(SPECIMENS.TD3.join('\n'));
+    assert.equal(data.country_checks.nationality.valid, true);
+    assert.equal(data.nationality_name, 'Utopia (specimen)');
+    assert.equal(data.issuing_state_name, 'Utopia (specimen)');
+});
+
+test('unknown country codes are flagged with likely misreads', () => {
+    const misread = lookupCountryCode('UT0');
+    assert.equal(misread.valid, false);
+    assert.deepEqual(misread.suggestions.map(s => s.code), ['UTO']);
+    assert.match(describeCountryCheck(misread), /did you mean UTO/);
+
+    const text = SPECIMENS.TD3.join('\n').replace(/UTO/g, 'ZZZ');
+    const { data } = parseMRZ(text);
+    assert.equal(data.country_checks.nationality.valid, false);
+    assert.equal(data.country_checks.issuing_state.valid, false);
+});
+
+test('short German code D is padded with fillers', () => {
+    assert.equal(lookupCountryCode('D<<').name, 'Germany');
+});
+
+test('text without an MRZ gives null', () => {
+    assert.equal(parseMRZ('REPUBLIC OF BOTSWANA\nNATIONAL IDENTITY CARD'), null);
+});
+
+// Pre-2021 French CNI, 2x36 with its own field positions
+const FRA_CNI = [
+    'IDFRADOUEL<<<<<<<<<<<<<<<<<<<<932013',
+    '0506932020438CHRISTIANE<<NI2906209F3'
+];
+
+test('French CNI is read with its national layout', () => {
+    const result = parseMRZ(FRA_CNI.join('\n'));
+    assert.equal(result.format, 'FRA-CNI');
+    assert.equal(result.documentType, 'FRA-CNI (French ID Card)');
+    assert.equal(result.checksums.valid, true);
+    assert.equal(result.data.document_number, '050693202043');
+    assert.equal(result.data.nationality, 'FRA');
+    assert.equal(result.data.gender, 'F');
+    assert.deepEqual(result.data.primary_identifiers, ['DOUEL']);
+    assert.deepEqual(result.data.secondary_identifiers, ['CHRISTIANE', 'NI']);
+    assert.equal(result.data.fields.issuing_office.raw, '932013');
+});
+
+test('French CNI takes its birth century from the issue date in the document number', () => {
+    const { data } = parseMRZ(FRA_CNI.join('\n'));
+    assert.equal(data.dates.issue.iso, '2005-06');
+    assert.equal(data.date_of_birth, '1929-06-20');
+    // The layout has no expiry date
+    assert.equal(data.expiry_date, 'UNKNOWN');
+});
+
+test('French CNI with a wrong composite check digit fails validation', () => {
+    const result = parseMRZ(FRA_CNI.join('\n').replace(/F3$/, 'F4'));
+    assert.equal(result.format, 'FRA-CNI');
+    assert.equal(result.checksums.valid, false);
+});
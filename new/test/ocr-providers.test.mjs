@@ -0,0 +1,75 @@
+// The HTTP OCR adapter against tools/mock-ocr-server.mjs, in both request
+// formats. Run with: node --test new/test/
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { createHttpOCRProvider, normalizeOCRConfig } from '../lib/ocr-providers.mjs';
+
+const serverPath = fileURLToPath(new URL('../tools/mock-ocr-server.mjs', import.meta.url));
+const IMAGE = 'data:image/png;base64,iVBORw0KGgo=';
+const servers = [];
+
+// Start the mock server on a free port and resolve to its address
+function startServer(...args) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [serverPath, '--port', '0', ...args]);
+        servers.push(child);
+        child.stdout.once('data', chunk => {
+            const match = /http:\/\/localhost:\d+/.exec(String(chunk));
+            if (match) resolve(match[0]);
+            else reject(new Error(`Unexpected mock server output: ${chunk}`));
+        });
+        child.once('error', reject);
+        child.once('exit', code => reject(new Error(`Mock server exited with code ${code}`)));
+    });
+}
+
+let open;
+let keyed;
+let slow;
+before(async () => {
+    [open, keyed, slow] = await Promise.all([startServer(), startServer('--key', 'SECRET'), startServer('--delay', '2000')]);
+});
+after(() => servers.forEach(child => child.kill()));
+
+test('json format returns the text and confidence', async () => {
+    const provider = createHttpOCRProvider({ endpoint: `${open}/ocr` });
+    const result = await provider.recognize(IMAGE);
+    assert.match(result.text, /^P<UTOERIKSSON<<ANNA<MARIA/);
+    assert.equal(result.confidence, 90);
+    assert.equal(result.lines.length, 2);
+    assert.equal(result.symbols.length, 88);
+});
+
+test('json format sends the API key as a bearer token', async () => {
+    const provider = createHttpOCRProvider({ endpoint: `${keyed}/ocr`, apiKey: 'SECRET' });
+    assert.match((await provider.recognize(IMAGE)).text, /L898902C36UTO/);
+
+    const wrongKey = createHttpOCRProvider({ endpoint: `${keyed}/ocr`, apiKey: 'WRONG' });
+    await assert.rejects(wrongKey.recognize(IMAGE), /HTTP 401/);
+});
+
+test('ocrspace format reads ParsedText and reports service errors', async () => {
+    const provider = createHttpOCRProvider({ endpoint: `${keyed}/parse/image`, format: 'ocrspace', apiKey: 'SECRET' });
+    const result = await provider.recognize(IMAGE);
+    assert.equal(result.text.split(/\r?\n/).length, 2);
+    assert.equal(result.confidence, null);
+
+    const wrongKey = createHttpOCRProvider({ endpoint: `${keyed}/parse/image`, format: 'ocrspace', apiKey: 'WRONG' });
+    await assert.rejects(wrongKey.recognize(IMAGE), /Invalid API key/);
+});
+
+test('a slow service times out', async () => {
+    const provider = createHttpOCRProvider({ endpoint: `${slow}/ocr`, timeout: 200 });
+    await assert.rejects(provider.recognize(IMAGE), /did not answer within 0.2s/);
+});
+
+test('an OCR.space config without a key is refused up front', () => {
+    assert.throws(
+        () => normalizeOCRConfig({ provider: 'http', http: { endpoint: 'https://api.ocr.space/parse/image', format: 'ocrspace' } }),
+        /OCR key not configured/
+    );
+    assert.equal(normalizeOCRConfig({ provider: 'tesseract', http: { format: 'ocrspace' } }).provider, 'tesseract');
+});
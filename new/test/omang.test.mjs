@@ -0,0 +1,77 @@
+// Omang number rules and their cross-check against the MRZ.
+// Run with: node --test new/test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateOmangNumber, checkOmang } from '../lib/omang.mjs';
+import { parseMRZ } from '../lib/mrz.mjs';
+
+// A Botswana TD1 card with every check digit passing; the fifth digit of
+// the Omang number 123412345 says male. Sex and nationality are outside
+// every check digit, so changing them leaves the checksums valid.
+const OMANG = [
+    'I<BWA1234123457<<<<<<<<<<<<<<<',
+    '8501019M3001019BWA<<<<<<<<<<<8',
+    'MOGAE<<KABELO<<<<<<<<<<<<<<<<<'
+];
+const card = (sex, nationality) => parseMRZ([
+    OMANG[0], OMANG[1].replace('M', sex).replace('BWA', nationality), OMANG[2]
+].join('\n'));
+
+test('the fifth digit of an Omang number gives the sex', () => {
+    assert.deepEqual(validateOmangNumber('123412345'), { valid: true, normalized: '123412345', gender: 'M', errors: [] });
+    assert.equal(validateOmangNumber('123422345').gender, 'F');
+    assert.equal(validateOmangNumber('1234 1234-5').normalized, '123412345');
+
+    const badDigit = validateOmangNumber('123432345');
+    assert.equal(badDigit.valid, false);
+    assert.equal(badDigit.gender, null);
+    assert.match(badDigit.errors[0], /gender digit must be 1 or 2 \(got 3\)/);
+});
+
+test('an Omang number must be nine digits', () => {
+    assert.match(validateOmangNumber('12341234').errors[0], /must be 9 digits \(got "12341234"\)/);
+    assert.equal(validateOmangNumber('1234123456').valid, false);
+    assert.equal(validateOmangNumber('12341234A').valid, false);
+    assert.equal(validateOmangNumber('').valid, false);
+});
+
+test('a consistent Omang card passes and rates High', () => {
+    const result = card('M', 'BWA');
+    assert.equal(result.checksums.valid, true);
+    assert.deepEqual(result.data.omang_check, {
+        applicable: true, consistent: true, number: '123412345', source: 'document_number', gender: 'M', errors: []
+    });
+    assert.equal(result.quality.quality, 'High');
+});
+
+test('a sex that disagrees with the gender digit is caught and caps the rating', () => {
+    const result = card('F', 'BWA');
+    assert.equal(result.checksums.valid, true);
+    assert.equal(result.data.omang_check.consistent, false);
+    assert.deepEqual(result.data.omang_check.errors, ['Omang gender digit indicates M but MRZ sex is F']);
+    assert.notEqual(result.quality.quality, 'High');
+    assert.ok(result.quality.issues.includes('Omang gender digit indicates M but MRZ sex is F'));
+});
+
+test('an Omang held by a non-citizen is caught', () => {
+    const result = card('M', 'ZAF');
+    assert.deepEqual(result.data.omang_check.errors, ['Omang issued by BWA but nationality is ZAF']);
+    assert.notEqual(result.quality.quality, 'High');
+});
+
+test('cards not issued by Botswana are not Omangs', () => {
+    assert.deepEqual(checkOmang({ issuing_state: 'ZAF', document_code: 'ID', document_number: '123412345' }),
+        { applicable: false, consistent: true, errors: [] });
+    assert.equal(checkOmang({ issuing_state: 'BWA', document_code: 'P', document_number: '123412345' }).applicable, false);
+});
+
+test('the number is taken from optional data when the document number is a serial', () => {
+    const check = checkOmang({
+        issuing_state: 'BWA', document_code: 'ID', nationality: 'BWA',
+        document_number: 'B01234567', optional_data_1: '123422345<<<<<<'
+    });
+    assert.equal(check.consistent, true);
+    assert.equal(check.source, 'optional_data_1');
+    assert.equal(check.gender, 'F');
+});
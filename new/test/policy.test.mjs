@@ -0,0 +1,84 @@
+// Acceptance policy outcomes on parsed specimen MRZs.
+// Run with: node --test new/test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMRZ } from '../lib/mrz.mjs';
+import { evaluatePolicy, normalizePolicy, applyCardConsistency } from '../lib/policy.mjs';
+
+// ICAO TD3 specimen: born 1974-08-12, expires 2012-04-15, issued by UTO
+const PASSPORT = parseMRZ([
+    'P<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<',
+    'L898902C36UTO7408122F1204159ZE184226B<<<<<10'
+].join('\n'));
+// Pre-2021 French CNI, which has no expiry date in its MRZ
+const FRA_CNI = parseMRZ([
+    'IDFRADOUEL<<<<<<<<<<<<<<<<<<<<932013',
+    '0506932020438CHRISTIANE<<NI2906209F3'
+].join('\n'));
+
+const BEFORE_EXPIRY = new Date('2010-01-01T12:00:00Z');
+const AFTER_EXPIRY = new Date('2012-05-01T12:00:00Z');
+const rules = outcome => outcome.reasons.map(r => `${r.rule}:${r.action}`);
+
+test('a valid document of an adult is accepted', () => {
+    const outcome = evaluatePolicy(PASSPORT, {}, BEFORE_EXPIRY);
+    assert.equal(outcome.decision, 'accept');
+    assert.deepEqual(outcome.reasons, []);
+    assert.equal(outcome.age.years, 35);
+});
+
+test('an expired document is rejected, or accepted within the grace period', () => {
+    const expired = evaluatePolicy(PASSPORT, {}, AFTER_EXPIRY);
+    assert.equal(expired.decision, 'reject');
+    assert.deepEqual(rules(expired), ['expiry:reject']);
+    assert.equal(expired.daysPastExpiry, 16);
+
+    assert.equal(evaluatePolicy(PASSPORT, { maxDaysPastExpiry: 30 }, AFTER_EXPIRY).decision, 'accept');
+    assert.equal(evaluatePolicy(PASSPORT, { actions: { expiry: 'flag' } }, AFTER_EXPIRY).decision, 'flag');
+});
+
+test('age limits apply to the holder on the day of the check', () => {
+    const tooYoung = evaluatePolicy(PASSPORT, { minAge: 40 }, BEFORE_EXPIRY);
+    assert.equal(tooYoung.decision, 'reject');
+    assert.deepEqual(rules(tooYoung), ['age:reject']);
+    assert.match(tooYoung.reasons[0].message, /Applicant is 35; the minimum age is 40/);
+
+    assert.deepEqual(rules(evaluatePolicy(PASSPORT, { maxAge: 30 }, BEFORE_EXPIRY)), ['age:reject']);
+});
+
+test('document types and issuing states outside the lists fail', () => {
+    const passportsOnly = evaluatePolicy(FRA_CNI, { acceptedDocumentTypes: ['TD3'] }, BEFORE_EXPIRY);
+    assert.deepEqual(rules(passportsOnly), ['documentType:reject']);
+
+    const flagged = evaluatePolicy(PASSPORT, { acceptedIssuingStates: ['BWA'], actions: { issuingState: 'flag' } }, BEFORE_EXPIRY);
+    assert.equal(flagged.decision, 'flag');
+    assert.match(flagged.reasons[0].message, /Utopia \(specimen\)/);
+});
+
+test('the most severe failed rule decides', () => {
+    const outcome = evaluatePolicy(PASSPORT, { minAge: 40, actions: { age: 'flag' } }, AFTER_EXPIRY);
+    assert.deepEqual(rules(outcome), ['expiry:reject', 'age:flag']);
+    assert.equal(outcome.decision, 'reject');
+});
+
+test('layouts without an expiry date skip the expiry rules', () => {
+    const outcome = evaluatePolicy(FRA_CNI, {}, AFTER_EXPIRY);
+    assert.equal(outcome.decision, 'accept');
+    assert.equal(outcome.daysPastExpiry, null);
+});
+
+test('unknown actions are refused', () => {
+    assert.throws(() => normalizePolicy({ actions: { expiry: 'warn' } }), /Unknown action "warn" for expiry/);
+});
+
+test('a card consistency failure is added to the phase 1 outcome', () => {
+    const phase1 = evaluatePolicy(PASSPORT, {}, BEFORE_EXPIRY);
+    const mismatch = { consistent: false, failed: ['document_number'] };
+    const flagged = applyCardConsistency(phase1, mismatch, {});
+    assert.equal(flagged.decision, 'flag');
+    assert.match(flagged.reasons[0].message, /document number differ/);
+
+    // A later front capture that matches replaces the earlier failure
+    assert.equal(applyCardConsistency(flagged, { consistent: true, failed: [] }, {}).decision, 'accept');
+});
@@ -0,0 +1,83 @@
+// The pinned Tesseract loaders refuse any file without an integrity hash
+// before fetching it. Run with: node --test new/test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveObjectURL } from 'node:buffer';
+import { normalizeAssetManifest, verifyAssetFile } from '../lib/assets.mjs';
+import { fetchOCRScripts, fetchTraineddata } from '../lib/tesseract-assets.mjs';
+
+const HASH = 'sha384-AAAA';
+
+function manifest({ workerIntegrity = HASH, coreFiles, modelFiles } = {}) {
+    const core = { 'tesseract-core.wasm.js': HASH, 'tesseract-core-simd.wasm.js': HASH };
+    return normalizeAssetManifest({
+        baseUrl: 'vendor',
+        assets: {
+            fontAwesome: { path: 'fa/all.min.css', integrity: HASH },
+            opencv: { path: 'opencv.js', integrity: HASH },
+            tesseract: { path: 'tesseract.min.js', integrity: HASH },
+            tesseractWorker: { path: 'worker.min.js', integrity: workerIntegrity },
+            tesseractCore: { path: 'core', files: coreFiles || core },
+            traineddata: { path: 'lang', files: modelFiles || { 'eng.traineddata': HASH } },
+            faceApi: { path: 'face-api.min.js', integrity: HASH },
+            faceModels: { path: 'models', files: {} }
+        }
+    });
+}
+
+// Fails the test if anything is fetched
+function refuseFetch(t) {
+    t.mock.method(globalThis, 'fetch', url => assert.fail(`unexpected fetch of ${url}`));
+}
+
+test('a file without an integrity hash is refused, not fetched', async t => {
+    refuseFetch(t);
+    await assert.rejects(
+        verifyAssetFile({ name: 'tesseract', url: 'vendor/tesseract.min.js', integrity: null }),
+        /tesseract has no integrity hash in assets\.json/
+    );
+});
+
+test('an unpinned worker script stops the OCR scripts from loading', async t => {
+    refuseFetch(t);
+    await assert.rejects(fetchOCRScripts(manifest({ workerIntegrity: '' })), /tesseractWorker has no integrity hash/);
+});
+
+test('an unpinned or unlisted core build stops the OCR scripts from loading', async t => {
+    // The pinned worker script may be fetched alongside
+    t.mock.method(globalThis, 'fetch', async (url, options) => {
+        assert.equal(url, 'vendor/worker.min.js');
+        assert.equal(options.integrity, HASH);
+        return new Response('');
+    });
+    await assert.rejects(
+        fetchOCRScripts(manifest({ coreFiles: { 'tesseract-core.wasm.js': '', 'tesseract-core-simd.wasm.js': '' } })),
+        /tesseractCore\/tesseract-core(-simd)?\.wasm\.js has no integrity hash/
+    );
+    await assert.rejects(fetchOCRScripts(manifest({ coreFiles: {} })), /is not listed in assets\.json/);
+});
+
+test('an unpinned or unlisted model is refused', async t => {
+    refuseFetch(t);
+    await assert.rejects(
+        fetchTraineddata(manifest({ modelFiles: { 'eng.traineddata': '' } }), 'eng'),
+        /traineddata\/eng\.traineddata has no integrity hash/
+    );
+    await assert.rejects(fetchTraineddata(manifest(), 'deu'), /deu\.traineddata is not listed/);
+});
+
+test('the worker and core scripts are handed over as blob URLs', async t => {
+    t.mock.method(globalThis, 'fetch', async (url, options) => {
+        assert.equal(options.integrity, HASH);
+        return new Response(`// ${url}`);
+    });
+    const scripts = await fetchOCRScripts(manifest());
+    try {
+        assert.equal(scripts.workerPath, scripts.urls[0]);
+        assert.match(scripts.corePath, /^blob:.*#tesseract-core(-simd)?\.wasm\.js$/);
+        assert.equal(await resolveObjectURL(scripts.urls[0]).text(), '// vendor/worker.min.js');
+    } finally {
+        scripts.urls.forEach(url => URL.revokeObjectURL(url));
+    }
+});
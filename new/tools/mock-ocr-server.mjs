@@ -0,0 +1,118 @@
+// Local stand-in for a remote OCR service, for trying the http OCR provider
+// without credentials or network access. It answers both request formats
+// the provider speaks and always returns the same text:
+//
+//   node tools/mock-ocr-server.mjs [--port 8099] [--key SECRET] [--text file.txt]
+//     [--delay ms] [--status code]
+//
+// --port 0 picks a free port; the first line printed names the address.
+//
+//   POST /ocr          app JSON protocol  -> { text, confidence }
+//   POST /parse/image  OCR.space format   -> { ParsedResults: [{ ParsedText }] }
+//
+// Then set ocr.json to { "provider": "http", "http": { "endpoint":
+// "http://localhost:8099/ocr" } }. With --key, requests without that key
+// get 401; --status answers every request with that HTTP status instead.
+
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+    const i = args.indexOf(`--${name}`);
+    return i !== -1 && args[i + 1] !== undefined ? args[i + 1] : fallback;
+};
+
+const port = parseInt(option('port', '8099'), 10);
+const apiKey = option('key', '');
+const delay = parseInt(option('delay', '0'), 10);
+const forcedStatus = parseInt(option('status', '0'), 10);
+const textFile = option('text', '');
+
+// ICAO 9303 specimen passport (TD3)
+const SAMPLE_TEXT = [
+    'P<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<',
+    'L898902C36UTO7408122F1204159ZE184226B<<<<<10'
+].join('\n');
+const text = textFile ? (await readFile(textFile, 'utf8')).trim() : SAMPLE_TEXT;
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, Accept'
+};
+
+function send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...CORS_HEADERS });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+// The apikey field of a multipart/form-data body
+function formField(body, name) {
+    const match = new RegExp(`name="${name}"\\r\\n\\r\\n([^\\r]*)`).exec(body);
+    return match ? match[1] : '';
+}
+
+const handlers = {
+    '/ocr': (req, body) => {
+        if (apiKey && req.headers.authorization !== `Bearer ${apiKey}`) {
+            return [401, { error: 'Missing or wrong API key' }];
+        }
+        let request;
+        try {
+            request = JSON.parse(body);
+        } catch (error) {
+            return [400, { error: 'Body is not JSON' }];
+        }
+        if (!/^data:image\//.test(request.image || '')) {
+            return [400, { error: 'image must be a data URL' }];
+        }
+        return [200, { text, confidence: 90 }];
+    },
+    '/parse/image': (req, body) => {
+        if (apiKey && formField(body, 'apikey') !== apiKey) {
+            return [200, { IsErroredOnProcessing: true, ErrorMessage: ['Invalid API key'] }];
+        }
+        if (!formField(body, 'base64Image').startsWith('data:image/')) {
+            return [200, { IsErroredOnProcessing: true, ErrorMessage: ['base64Image is missing'] }];
+        }
+        return [200, { IsErroredOnProcessing: false, ParsedResults: [{ ParsedText: text.replace(/\n/g, '\r\n') }] }];
+    }
+};
+
+const server = createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, CORS_HEADERS);
+        res.end();
+        return;
+    }
+    const handler = handlers[new URL(req.url, 'http://localhost').pathname];
+    if (!handler || req.method !== 'POST') {
+        send(res, 404, { error: 'Not found' });
+        return;
+    }
+
+    const body = await readBody(req);
+    if (delay > 0) await new Promise(resolve => setTimeout(resolve, delay));
+    if (forcedStatus) {
+        send(res, forcedStatus, { error: `Forced status ${forcedStatus}` });
+        return;
+    }
+    const [status, response] = handler(req, body);
+    console.log(`${req.method} ${req.url} -> ${status}`);
+    send(res, status, response);
+});
+
+server.listen(port, () => {
+    const address = `http://localhost:${server.address().port}`;
+    console.log(`Mock OCR service on ${address} (/ocr, /parse/image)${apiKey ? ', API key required' : ''}`);
+});
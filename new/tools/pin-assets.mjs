@@ -0,0 +1,150 @@
+// Fill and pin the self-hosted assets listed in assets.json.
+//
+//   node tools/pin-assets.mjs --fetch [path/to/assets.json] [asset root folder]
+//
+// downloads every asset that names a `source` (an npm package, the path
+// inside it, and `gzip` when the package holds the files as .gz) into the
+// asset folder, checks each file against its pinned hash and pins files
+// that have none yet. Run it once on a fresh checkout; the asset folder is
+// not kept in git. Files that fail their hash are not written. Without
+// --fetch the tool pins whatever is on disk instead:
+//
+//   node tools/pin-assets.mjs [path/to/assets.json] [asset root folder]
+//
+// Run that after placing or upgrading files by hand, e.g. an OCR-B model
+// added to the traineddata folder. The root folder defaults to the
+// manifest's baseUrl next to assets.json.
+
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { dirname, join, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { gunzipSync } from 'node:zlib';
+
+const args = process.argv.slice(2);
+const fetchMode = args.includes('--fetch');
+const paths = args.filter(arg => !arg.startsWith('--'));
+const registry = (process.env.npm_config_registry || 'https://registry.npmjs.org/').replace(/\/+$/, '');
+
+const here = dirname(fileURLToPath(import.meta.url));
+const manifestPath = resolve(paths[0] || join(here, '..', 'assets.json'));
+const manifest = JSON.parse(await readFile(manifestPath, 'utf8'));
+const root = resolve(paths[1] || join(dirname(manifestPath), manifest.baseUrl || ''));
+
+function integrityOf(data) {
+    return 'sha384-' + createHash('sha384').update(data).digest('base64');
+}
+
+// Files of a gzipped npm tarball by their path inside the package (the
+// tarball's top folder, usually "package/", is dropped)
+function readTarball(buffer) {
+    const data = gunzipSync(buffer);
+    const text = (start, length) => data.toString('utf8', start, start + length).replace(/\0.*$/s, '');
+    const files = new Map();
+    let offset = 0;
+    while (offset + 512 <= data.length) {
+        const name = text(offset, 100);
+        if (!name) break;
+        const prefix = text(offset + 345, 155);
+        const size = parseInt(text(offset + 124, 12).trim() || '0', 8);
+        const type = data[offset + 156];
+        const start = offset + 512;
+        // '0' or NUL: a regular file
+        if (type === 48 || type === 0) {
+            const path = (prefix ? `${prefix}/${name}` : name).split('/').slice(1).join('/');
+            files.set(path, data.subarray(start, start + size));
+        }
+        offset = start + Math.ceil(size / 512) * 512;
+    }
+    return files;
+}
+
+// Download an npm package ("name@version") and check it against the
+// integrity the registry publishes for it
+const packages = new Map();
+function fetchPackage(spec) {
+    if (!packages.has(spec)) {
+        packages.set(spec, (async () => {
+            const at = spec.lastIndexOf('@');
+            const name = spec.substring(0, at);
+            const version = spec.substring(at + 1);
+            const meta = await fetch(`${registry}/${name.replace('/', '%2F')}/${version}`);
+            if (!meta.ok) throw new Error(`${spec}: registry answered HTTP ${meta.status}`);
+            const { dist } = await meta.json();
+            const response = await fetch(dist.tarball);
+            if (!response.ok) throw new Error(`${spec}: tarball download failed (HTTP ${response.status})`);
+            const tarball = Buffer.from(await response.arrayBuffer());
+            const [algorithm, expected] = dist.integrity.split('-');
+            if (createHash(algorithm).update(tarball).digest('base64') !== expected) {
+                throw new Error(`${spec}: tarball does not match the registry's integrity`);
+            }
+            console.log(`fetched  ${spec}`);
+            return readTarball(tarball);
+        })());
+    }
+    return packages.get(spec);
+}
+
+const missing = [];
+const mismatched = [];
+let changed = 0;
+
+// Download one file of an asset into the asset folder. A file with a
+// pinned hash is only written when it matches. Returns whether it was written.
+async function fetchFile(label, path, source, sourcePath, current) {
+    try {
+        const packed = (await fetchPackage(source.npm)).get(source.gzip ? `${sourcePath}.gz` : sourcePath);
+        if (!packed) throw new Error(`${sourcePath} is not in ${source.npm}`);
+        const data = source.gzip ? gunzipSync(packed) : packed;
+        if (current && integrityOf(data) !== current) {
+            mismatched.push(`${label} (${source.npm}/${sourcePath})`);
+            return false;
+        }
+        await mkdir(dirname(join(root, path)), { recursive: true });
+        await writeFile(join(root, path), data);
+        return true;
+    } catch (error) {
+        missing.push(`${label}: ${error.message}`);
+        return false;
+    }
+}
+
+async function pin(label, path, current) {
+    let integrity;
+    try {
+        integrity = integrityOf(await readFile(join(root, path)));
+    } catch (error) {
+        missing.push(`${label} (${join(root, path)})`);
+        return current;
+    }
+    if (integrity === current) return current;
+    console.log(`${current ? 'updated' : 'pinned '}  ${label}`);
+    changed++;
+    return integrity;
+}
+
+for (const [name, asset] of Object.entries(manifest.assets)) {
+    if (asset.files) {
+        for (const file of Object.keys(asset.files)) {
+            const path = join(asset.path, file);
+            if (fetchMode && asset.source &&
+                !await fetchFile(`${name}/${file}`, path, asset.source, [asset.source.path, file].filter(Boolean).join('/'), asset.files[file])) continue;
+            asset.files[file] = await pin(`${name}/${file}`, path, asset.files[file]);
+        }
+    } else {
+        if (fetchMode && asset.source &&
+            !await fetchFile(name, asset.path, asset.source, asset.source.path, asset.integrity)) continue;
+        asset.integrity = await pin(name, asset.path, asset.integrity);
+    }
+}
+
+await writeFile(manifestPath, JSON.stringify(manifest, null, 4) + '\n');
+console.log(`${changed} hash(es) changed in ${manifestPath}`);
+if (mismatched.length > 0) {
+    console.error(`Downloaded files that do not match their pinned hash, not written:\n  ${mismatched.join('\n  ')}`);
+    process.exitCode = 1;
+}
+if (missing.length > 0) {
+    console.error(`Missing files, hashes left unchanged:\n  ${missing.join('\n  ')}`);
+    process.exitCode = 1;
+}